@@ -0,0 +1,138 @@
+// AI proxy: forwards the editor's AI requests to the providers, adding the API keys
+// held by this server so they never end up in the browser bundle. A provider is
+// available when its key is set in the environment, e.g. OPENAI_API_KEY.
+//
+// Every request must carry the shared AI_PROXY_TOKEN in an X-AI-Proxy-Token
+// header and come from the app's origin; the proxy is off until a token is set.
+// The app sends the token from its public JS bundle, so this is a local-only
+// measure: it keeps other web pages and machines out, not anyone who can load
+// the app. Only run the proxy where everyone who can reach the app may spend
+// the keys.
+//
+// Request bodies are passed through unchanged, and provider responses (including
+// streams and error statuses) are piped back as they arrive.
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { sendJSON, readJSON } = require('./httpUtils');
+
+const PROVIDERS = {
+    openai: {
+        url: 'https://api.openai.com/v1/chat/completions',
+        keyVariable: 'OPENAI_API_KEY',
+        headers: (key) => ({ 'Authorization': `Bearer ${key}` })
+    },
+    claude: {
+        url: 'https://api.anthropic.com/v1/messages',
+        keyVariable: 'CLAUDE_API_KEY',
+        headers: (key) => ({ 'x-api-key': key, 'anthropic-version': '2023-06-01' })
+    },
+    groq: {
+        url: 'https://api.groq.com/openai/v1/chat/completions',
+        keyVariable: 'GROQ_API_KEY',
+        headers: (key) => ({ 'Authorization': `Bearer ${key}` })
+    },
+    cohere: {
+        url: 'https://api.cohere.com/v2/chat',
+        keyVariable: 'COHERE_API_KEY',
+        headers: (key) => ({ 'Authorization': `Bearer ${key}` })
+    },
+    huggingface: {
+        url: 'https://router.huggingface.co/v1/chat/completions',
+        keyVariable: 'HUGGINGFACE_API_KEY',
+        headers: (key) => ({ 'Authorization': `Bearer ${key}` })
+    }
+};
+
+// Constant-time comparison, so the token can't be guessed from response times
+const tokenMatches = (given, expected) => {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Routes (relative to /api/ai):
+//   GET  /providers  - ids of the providers with an API key configured
+//   POST /:provider  - forward a request body to the provider
+const createAIProxy = (env = process.env) => {
+    const getKey = (id) => env[PROVIDERS[id].keyVariable];
+
+    const forward = async (req, res, id) => {
+        const provider = PROVIDERS[id];
+        const key = getKey(id);
+        if (!key) {
+            sendJSON(res, 401, { error: `${provider.keyVariable} is not set on the server` });
+            return;
+        }
+
+        const body = await readJSON(req);
+
+        // Stop the provider request when the browser goes away, e.g. the user pressed Stop
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
+        let upstream;
+        try {
+            upstream = await fetch(provider.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...provider.headers(key)
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.error(`AI proxy could not reach ${id}:`, error.message);
+            sendJSON(res, 502, { error: `Could not reach ${id}` });
+            return;
+        }
+
+        const headers = { 'Content-Type': upstream.headers.get('content-type') || 'application/json' };
+        const retryAfter = upstream.headers.get('retry-after');
+        if (retryAfter) headers['Retry-After'] = retryAfter;
+
+        res.writeHead(upstream.status, headers);
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        Readable.fromWeb(upstream.body)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    };
+
+    return async (req, res, path) => {
+        if (!env.AI_PROXY_TOKEN) {
+            sendJSON(res, 503, { error: 'AI_PROXY_TOKEN is not set on the server' });
+            return;
+        }
+        if (!tokenMatches(req.headers['x-ai-proxy-token'], env.AI_PROXY_TOKEN)) {
+            sendJSON(res, 401, { error: 'Missing or invalid AI proxy token' });
+            return;
+        }
+
+        if (path === '/providers') {
+            if (req.method !== 'GET') {
+                sendJSON(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+            sendJSON(res, 200, { providers: Object.keys(PROVIDERS).filter(getKey) });
+            return;
+        }
+
+        const id = path.slice(1);
+        if (!Object.prototype.hasOwnProperty.call(PROVIDERS, id)) {
+            sendJSON(res, 404, { error: 'Unknown AI provider' });
+            return;
+        }
+        if (req.method !== 'POST') {
+            sendJSON(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        await forward(req, res, id);
+    };
+};
+
+module.exports = createAIProxy;
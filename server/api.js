@@ -0,0 +1,146 @@
+// HTTP API for listing and managing documents
+const DocumentStore = require('./documentStore');
+const { sendJSON, readJSON } = require('./httpUtils');
+const { isAllowedOrigin } = require('./origins');
+
+// Version snapshots carry the document's whole Yjs state
+const MAX_VERSION_SIZE = 32 * 1024 * 1024;
+
+// Routes:
+//   GET    /api/documents      - list documents, most recently updated first
+//   POST   /api/documents      - create a document ({ title })
+//   GET    /api/documents/:id  - document metadata
+//   PATCH  /api/documents/:id  - rename a document ({ title })
+//   DELETE /api/documents/:id  - delete a document
+//   GET    /api/documents/:id/versions      - list saved versions, newest first
+//   POST   /api/documents/:id/versions      - save a version ({ author, reason, state })
+//   GET    /api/documents/:id/versions/:vid - a version including its Yjs state
+// Requests under /api/ai are passed to `aiProxy`, see aiProxy.js.
+//
+// Browsers may only call the API from `allowedOrigins` (the app's own origin);
+// requests from other web pages are refused before they reach any route.
+const createApiHandler = (store, { onDelete, aiProxy, allowedOrigins = [] } = {}) => {
+    const handleVersions = async (req, res, id, versionId) => {
+        if (versionId) {
+            if (req.method !== 'GET') {
+                sendJSON(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+
+            const version = store.getVersion(id, versionId);
+            if (version) {
+                sendJSON(res, 200, version);
+            } else {
+                sendJSON(res, 404, { error: 'Version not found' });
+            }
+            return;
+        }
+
+        if (req.method === 'GET') {
+            sendJSON(res, 200, store.listVersions(id));
+        } else if (req.method === 'POST') {
+            const { author, reason, state } = await readJSON(req, MAX_VERSION_SIZE);
+            sendJSON(res, 201, store.createVersion(id, {
+                author: author ? String(author) : undefined,
+                reason: reason ? String(reason) : undefined,
+                state: typeof state === 'string' ? state : null
+            }));
+        } else {
+            sendJSON(res, 405, { error: 'Method not allowed' });
+        }
+    };
+
+    return async (req, res) => {
+        // The React dev server runs on a different port
+        const { origin } = req.headers;
+        res.setHeader('Vary', 'Origin');
+        if (!isAllowedOrigin(origin, allowedOrigins)) {
+            sendJSON(res, 403, { error: 'Origin not allowed' });
+            return;
+        }
+        if (origin) res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-AI-Proxy-Token');
+        // Lets the browser honour a provider's rate limit delay
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        const aiMatch = pathname.match(/^\/api\/ai(\/.*)?$/);
+        if (aiMatch && aiProxy) {
+            // The proxy spends the server's API keys, so it's for the app only, even
+            // though a script could send a matching Origin (see aiProxy.js)
+            if (!origin) {
+                sendJSON(res, 403, { error: 'Origin not allowed' });
+                return;
+            }
+            try {
+                await aiProxy(req, res, aiMatch[1] || '/');
+            } catch (error) {
+                console.error('AI proxy error:', error);
+                if (!res.headersSent) sendJSON(res, 400, { error: error.message });
+            }
+            return;
+        }
+
+        const match = pathname.match(/^\/api\/documents(?:\/([^/]+)(\/versions(?:\/([^/]+))?)?)?\/?$/);
+
+        if (!match) {
+            sendJSON(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const id = match[1] ? decodeURIComponent(match[1]) : null;
+        const isVersionsRoute = !!match[2];
+        const versionId = match[3] ? decodeURIComponent(match[3]) : null;
+
+        try {
+            if (!id) {
+                if (req.method === 'GET') {
+                    sendJSON(res, 200, store.list());
+                } else if (req.method === 'POST') {
+                    const { title = '' } = await readJSON(req);
+                    const record = store.create({ title: String(title) });
+                    sendJSON(res, 201, store.getMetadata(record.id));
+                } else {
+                    sendJSON(res, 405, { error: 'Method not allowed' });
+                }
+                return;
+            }
+
+            if (!DocumentStore.isValidId(id) || !store.has(id)) {
+                sendJSON(res, 404, { error: 'Document not found' });
+                return;
+            }
+
+            if (isVersionsRoute) {
+                await handleVersions(req, res, id, versionId);
+                return;
+            }
+
+            if (req.method === 'GET') {
+                sendJSON(res, 200, store.getMetadata(id));
+            } else if (req.method === 'PATCH') {
+                const { title = '' } = await readJSON(req);
+                sendJSON(res, 200, store.rename(id, String(title)));
+            } else if (req.method === 'DELETE') {
+                onDelete && onDelete(id);
+                store.delete(id);
+                sendJSON(res, 204);
+            } else {
+                sendJSON(res, 405, { error: 'Method not allowed' });
+            }
+        } catch (error) {
+            console.error('API error:', error);
+            sendJSON(res, error.status || 400, { error: error.message });
+        }
+    };
+};
+
+module.exports = createApiHandler;
@@ -0,0 +1,128 @@
+// Run with `npm test` (node --test)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const Y = require('yjs');
+const DocumentStore = require('./documentStore');
+const createApiHandler = require('./api');
+const createAIProxy = require('./aiProxy');
+
+const APP_ORIGIN = 'http://localhost:3000';
+const PROXY_TOKEN = 'test-token';
+
+const store = new DocumentStore();
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer(createApiHandler(store, {
+        aiProxy: createAIProxy({ AI_PROXY_TOKEN: PROXY_TOKEN, OPENAI_API_KEY: 'sk-test' }),
+        allowedOrigins: [APP_ORIGIN]
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const postVersion = (id, body) => fetch(`${baseUrl}/api/documents/${id}/versions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+// A base64 Yjs update holding `text`
+const encodeState = (text) => {
+    const doc = new Y.Doc();
+    doc.getText('content').insert(0, text);
+    return Buffer.from(Y.encodeStateAsUpdate(doc)).toString('base64');
+};
+
+test('saves a version from a client-supplied Yjs state', async () => {
+    const { id } = store.create({ title: 'Valid' });
+    const state = encodeState('hello');
+    const response = await postVersion(id, { reason: 'manual', state });
+
+    assert.strictEqual(response.status, 201);
+    const { id: versionId } = await response.json();
+    assert.strictEqual(store.getVersion(id, versionId).state, state);
+});
+
+test('rejects a version state that is not a Yjs update', async () => {
+    const { id } = store.create({ title: 'Garbage' });
+
+    for (const state of ['not base64!', Buffer.from('hello world').toString('base64')]) {
+        const response = await postVersion(id, { state });
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(await response.json(), { error: 'Version state is not a valid Yjs update' });
+    }
+    assert.deepStrictEqual(store.listVersions(id), []);
+});
+
+test('accepts version snapshots larger than other requests', async () => {
+    const { id } = store.create({ title: 'Large' });
+    const state = encodeState('x'.repeat(2 * 1024 * 1024));
+
+    assert.strictEqual((await postVersion(id, { state })).status, 201);
+
+    const rename = await fetch(`${baseUrl}/api/documents/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'x'.repeat(2 * 1024 * 1024) })
+    });
+    assert.strictEqual(rename.status, 413);
+});
+
+test('refuses requests from other web pages', async () => {
+    // A plain-text POST needs no preflight, so the request itself has to be refused
+    const response = await fetch(`${baseUrl}/api/ai/openai`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain', Origin: 'https://evil.example', 'X-AI-Proxy-Token': PROXY_TOKEN },
+        body: '{}'
+    });
+
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+});
+
+test('allows the app origin', async () => {
+    const response = await fetch(`${baseUrl}/api/documents`, { headers: { Origin: APP_ORIGIN } });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), APP_ORIGIN);
+});
+
+test('requires the shared token for the AI proxy', async () => {
+    const providers = (headers) => fetch(`${baseUrl}/api/ai/providers`, { headers: { Origin: APP_ORIGIN, ...headers } });
+
+    assert.strictEqual((await providers({})).status, 401);
+    assert.strictEqual((await providers({ 'X-AI-Proxy-Token': 'wrong' })).status, 401);
+
+    const response = await providers({ 'X-AI-Proxy-Token': PROXY_TOKEN });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { providers: ['openai'] });
+});
+
+test('refuses AI proxy requests without an origin', async () => {
+    const response = await fetch(`${baseUrl}/api/ai/providers`, { headers: { 'X-AI-Proxy-Token': PROXY_TOKEN } });
+
+    assert.strictEqual(response.status, 403);
+});
+
+test('keeps the AI proxy off until a token is configured', async () => {
+    const handler = createApiHandler(store, {
+        aiProxy: createAIProxy({ OPENAI_API_KEY: 'sk-test' }),
+        allowedOrigins: [APP_ORIGIN]
+    });
+    const unconfigured = http.createServer(handler);
+    await new Promise(resolve => unconfigured.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${unconfigured.address().port}/api/ai/providers`, {
+            headers: { Origin: APP_ORIGIN, 'X-AI-Proxy-Token': '' }
+        });
+        assert.strictEqual(response.status, 503);
+    } finally {
+        await new Promise(resolve => unconfigured.close(resolve));
+    }
+});
@@ -0,0 +1,224 @@
+// In-memory Yjs document store with optional JSON persistence on disk
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Y = require('yjs');
+
+const DEFAULT_TITLE = 'Untitled document';
+const MAX_VERSIONS = 50;
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Whether a base64 string is a complete Yjs update, by applying it to a scratch document
+const isValidState = (state) => {
+    if (!BASE64.test(state)) return false;
+
+    const doc = new Y.Doc();
+    try {
+        Y.applyUpdate(doc, Buffer.from(state, 'base64'));
+        // Updates that refer to missing history are kept pending rather than applied
+        return doc.store.pendingStructs === null && doc.store.pendingDs === null;
+    } catch (error) {
+        return false;
+    } finally {
+        doc.destroy();
+    }
+};
+
+class DocumentStore {
+    constructor({ persistPath = null, saveDelay = 1000 } = {}) {
+        this.documents = new Map();
+        this.persistPath = persistPath ? path.resolve(persistPath) : null;
+        this.saveDelay = saveDelay;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    // Documents are persisted with their metadata and a base64-encoded Yjs state update
+    load() {
+        if (!this.persistPath || !fs.existsSync(this.persistPath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+            Object.entries(data).forEach(([id, entry]) => {
+                const record = this.create({ id, title: entry.title });
+                record.createdAt = entry.createdAt || record.createdAt;
+                record.updatedAt = entry.updatedAt || record.updatedAt;
+                record.versions = entry.versions || [];
+                Y.applyUpdate(record.doc, Buffer.from(entry.state, 'base64'));
+            });
+            console.log(`Loaded ${this.documents.size} document(s) from ${this.persistPath}`);
+        } catch (error) {
+            console.error('Error loading documents:', error);
+        }
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+    }
+
+    has(id) {
+        return this.documents.has(id);
+    }
+
+    list() {
+        return Array.from(this.documents.values())
+            .map(record => this.getMetadata(record.id))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    getMetadata(id) {
+        const record = this.documents.get(id);
+        if (!record) return null;
+
+        const { doc, versions, changedSinceSnapshot, ...metadata } = record;
+        return metadata;
+    }
+
+    create({ id = crypto.randomUUID(), title = DEFAULT_TITLE } = {}) {
+        const now = new Date().toISOString();
+        const record = {
+            id,
+            title: title.trim() || DEFAULT_TITLE,
+            createdAt: now,
+            updatedAt: now,
+            doc: new Y.Doc(),
+            versions: [],
+            changedSinceSnapshot: false
+        };
+
+        this.documents.set(id, record);
+        this.scheduleSave();
+        return record;
+    }
+
+    rename(id, title) {
+        const record = this.documents.get(id);
+        if (!record) return null;
+
+        record.title = title.trim() || DEFAULT_TITLE;
+        record.updatedAt = new Date().toISOString();
+        this.scheduleSave();
+        return this.getMetadata(id);
+    }
+
+    delete(id) {
+        const record = this.documents.get(id);
+        if (!record) return false;
+
+        record.doc.destroy();
+        this.documents.delete(id);
+        this.scheduleSave();
+        return true;
+    }
+
+    // Documents opened by id that do not exist yet are created on first use
+    get(id) {
+        const record = this.documents.get(id) || this.create({ id });
+        return record.doc;
+    }
+
+    getState(id) {
+        const doc = this.get(id);
+        return {
+            stateVector: Y.encodeStateVector(doc),
+            update: Y.encodeStateAsUpdate(doc)
+        };
+    }
+
+    applyUpdate(id, update) {
+        Y.applyUpdate(this.get(id), update);
+        const record = this.documents.get(id);
+        record.updatedAt = new Date().toISOString();
+        record.changedSinceSnapshot = true;
+        this.scheduleSave();
+    }
+
+    // Versions are snapshots of the Yjs state, newest first. `state` is a base64
+    // update; when omitted the server's current copy is used.
+    listVersions(id) {
+        const record = this.documents.get(id);
+        if (!record) return null;
+
+        return record.versions.map(({ state, ...metadata }) => metadata);
+    }
+
+    getVersion(id, versionId) {
+        const record = this.documents.get(id);
+        if (!record) return null;
+
+        return record.versions.find(version => version.id === versionId) || null;
+    }
+
+    createVersion(id, { author = 'Unknown', reason = 'manual', state = null } = {}) {
+        const record = this.documents.get(id);
+        if (!record) return null;
+        if (state && !isValidState(state)) {
+            throw new Error('Version state is not a valid Yjs update');
+        }
+
+        const version = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            author,
+            reason,
+            state: state || Buffer.from(Y.encodeStateAsUpdate(record.doc)).toString('base64')
+        };
+
+        record.versions.unshift(version);
+        record.versions.length = Math.min(record.versions.length, MAX_VERSIONS);
+        record.changedSinceSnapshot = false;
+        this.scheduleSave();
+
+        const { state: versionState, ...metadata } = version;
+        return metadata;
+    }
+
+    // Periodic snapshots only for documents edited since their last version
+    snapshotChangedDocuments() {
+        this.documents.forEach((record, id) => {
+            if (record.changedSinceSnapshot) {
+                this.createVersion(id, { author: 'Autosave', reason: 'autosave' });
+            }
+        });
+    }
+
+    // Batch writes so a burst of keystrokes results in a single disk write
+    scheduleSave() {
+        if (!this.persistPath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+    }
+
+    save() {
+        if (!this.persistPath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+            const data = {};
+            this.documents.forEach((record, id) => {
+                data[id] = {
+                    ...this.getMetadata(id),
+                    versions: record.versions,
+                    state: Buffer.from(Y.encodeStateAsUpdate(record.doc)).toString('base64')
+                };
+            });
+            fs.writeFileSync(this.persistPath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('Error saving documents:', error);
+        }
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = DocumentStore;
@@ -0,0 +1,37 @@
+// JSON helpers shared by the HTTP handlers
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const sendJSON = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// Errors carry the HTTP status to answer with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const readJSON = (req, maxSize = MAX_BODY_SIZE) => {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        req.on('data', (chunk) => {
+            // The rest of an oversized body is read and dropped, so the 413 reaches the client
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > maxSize) {
+                tooLarge = true;
+                body = '';
+                reject(httpError(413, 'Request body too large'));
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+};
+
+module.exports = { sendJSON, readJSON };
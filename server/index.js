@@ -0,0 +1,144 @@
+// Collaboration server for the editor's ws://localhost:5000 protocol
+//
+// WebSocket messages are JSON objects with a `type` field. Binary Yjs payloads
+// are base64-encoded strings. A client first joins a document room; every
+// other message is scoped to that room.
+//   join      - client -> server, `documentId` of the document to edit
+//   init      - sent to a client after joining with the document state vector
+//               and the full document state as a Yjs update
+//   update    - Yjs update from one client, applied and rebroadcast to the others
+//   awareness - presence (user name, colour, cursor) from one client,
+//               relayed to the others; cleared when the client disconnects
+//   chat      - chat message from one client, relayed to the others
+//   deleted   - server -> clients, the document was deleted
+//
+// Document listing, creation, renaming and deletion are served over HTTP on
+// the same port, see api.js, as is the AI proxy that holds the provider API
+// keys, see aiProxy.js.
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const DocumentStore = require('./documentStore');
+const Room = require('./room');
+const createApiHandler = require('./api');
+const createAIProxy = require('./aiProxy');
+const { verifyOrigin } = require('./origins');
+
+const PORT = parseInt(process.env.SERVER_PORT, 10) || 5000;
+// Only this machine can connect unless SERVER_HOST says otherwise, e.g. 0.0.0.0
+const HOST = process.env.SERVER_HOST || '127.0.0.1';
+// Web pages allowed to use the HTTP API and open WebSocket connections, comma-separated
+const APP_ORIGINS = (process.env.APP_ORIGIN || 'http://localhost:3000,http://127.0.0.1:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+const SNAPSHOT_INTERVAL = (parseFloat(process.env.SNAPSHOT_INTERVAL_MINUTES) || 10) * 60 * 1000;
+
+const store = new DocumentStore({
+    persistPath: process.env.PERSIST_PATH || null
+});
+
+const rooms = new Map();
+
+const getRoom = (documentId) => {
+    if (!rooms.has(documentId)) {
+        rooms.set(documentId, new Room(documentId, store));
+    }
+    return rooms.get(documentId);
+};
+
+const leaveRoom = (socket) => {
+    const room = socket.room;
+    if (!room) return;
+
+    room.leave(socket);
+    socket.room = null;
+
+    if (room.clients.size === 0) {
+        room.destroy();
+        rooms.delete(room.documentId);
+    }
+};
+
+const handleDelete = (documentId) => {
+    const room = rooms.get(documentId);
+    if (!room) return;
+
+    room.clients.forEach((socket) => {
+        socket.room = null;
+    });
+    room.close();
+    rooms.delete(documentId);
+};
+
+const server = http.createServer(createApiHandler(store, {
+    onDelete: handleDelete,
+    aiProxy: createAIProxy(),
+    allowedOrigins: APP_ORIGINS
+}));
+const wss = new WebSocketServer({ server, verifyClient: verifyOrigin(APP_ORIGINS) });
+
+wss.on('connection', (socket) => {
+    socket.room = null;
+
+    console.log(`Client connected (${wss.clients.size} total)`);
+
+    socket.on('message', (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            console.error('Error parsing message:', error);
+            return;
+        }
+
+        if (message.type === 'join') {
+            if (!DocumentStore.isValidId(message.documentId)) {
+                console.warn(`Invalid document id: ${message.documentId}`);
+                return;
+            }
+            leaveRoom(socket);
+            socket.room = getRoom(message.documentId);
+            socket.room.join(socket);
+            return;
+        }
+
+        if (!socket.room) {
+            console.warn(`Message before join: ${message.type}`);
+            return;
+        }
+
+        socket.room.handleMessage(socket, message);
+    });
+
+    socket.on('close', () => {
+        leaveRoom(socket);
+        console.log(`Client disconnected (${wss.clients.size} remaining)`);
+    });
+
+    socket.on('error', (error) => {
+        console.error('WebSocket error:', error);
+    });
+});
+
+// Save a version of every document edited since its last snapshot
+const snapshotTimer = setInterval(() => store.snapshotChangedDocuments(), SNAPSHOT_INTERVAL);
+
+server.listen(PORT, HOST, () => {
+    console.log(`Collaboration server listening on ws://${HOST}:${PORT}`);
+    if (!process.env.AI_PROXY_TOKEN) {
+        console.warn('AI_PROXY_TOKEN is not set, so the AI proxy is disabled');
+    } else if (!['127.0.0.1', 'localhost', '::1'].includes(HOST)) {
+        console.warn(`The AI proxy is reachable on ${HOST}: anyone who can load the app can read its token and use your API keys`);
+    }
+});
+
+const shutdown = () => {
+    clearInterval(snapshotTimer);
+    store.flush();
+    rooms.forEach(room => room.destroy());
+    wss.close();
+    server.close(() => process.exit(0));
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
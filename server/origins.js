@@ -0,0 +1,15 @@
+// Which web pages may use the server. Browsers send an Origin header with API
+// calls and WebSocket connections; requests without one don't come from a web page.
+const isAllowedOrigin = (origin, allowedOrigins) => !origin || allowedOrigins.includes(origin);
+
+// `verifyClient` for the WebSocket server, so other web pages can't connect and
+// read or change documents
+const verifyOrigin = (allowedOrigins) => ({ origin }, done) => {
+    if (isAllowedOrigin(origin, allowedOrigins)) {
+        done(true);
+    } else {
+        done(false, 403, 'Origin not allowed');
+    }
+};
+
+module.exports = { isAllowedOrigin, verifyOrigin };
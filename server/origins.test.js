@@ -0,0 +1,50 @@
+// Run with `npm test` (node --test)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const { verifyOrigin } = require('./origins');
+
+const APP_ORIGIN = 'http://localhost:3000';
+
+let server;
+let wss;
+let url;
+
+before(async () => {
+    server = http.createServer();
+    wss = new WebSocketServer({ server, verifyClient: verifyOrigin([APP_ORIGIN]) });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+});
+
+// Resolves to the HTTP status the server answered the upgrade with, 101 when accepted
+const connect = (origin) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(url, origin ? { origin } : {});
+    socket.on('open', () => {
+        socket.close();
+        resolve(101);
+    });
+    socket.on('unexpected-response', (req, res) => {
+        resolve(res.statusCode);
+        req.destroy();
+    });
+    socket.on('error', reject);
+});
+
+test('refuses WebSocket connections from other web pages', async () => {
+    assert.strictEqual(await connect('https://evil.example'), 403);
+});
+
+test('accepts WebSocket connections from the app', async () => {
+    assert.strictEqual(await connect(APP_ORIGIN), 101);
+});
+
+test('accepts WebSocket connections that are not from a web page', async () => {
+    assert.strictEqual(await connect(null), 101);
+});
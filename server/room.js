@@ -0,0 +1,116 @@
+// A document room: the sockets editing one document and their shared presence
+const { WebSocket } = require('ws');
+const {
+    Awareness,
+    applyAwarenessUpdate,
+    encodeAwarenessUpdate,
+    removeAwarenessStates
+} = require('y-protocols/awareness');
+
+const encode = (bytes) => Buffer.from(bytes).toString('base64');
+const decode = (base64) => new Uint8Array(Buffer.from(base64, 'base64'));
+
+const send = (client, message) => {
+    if (client.readyState === WebSocket.OPEN) {
+        client.send(JSON.stringify(message));
+    }
+};
+
+class Room {
+    constructor(documentId, store) {
+        this.documentId = documentId;
+        this.store = store;
+        this.clients = new Set();
+
+        // The server relays presence but has none of its own
+        this.awareness = new Awareness(store.get(documentId));
+        this.awareness.setLocalState(null);
+        this.handleAwarenessUpdate = this.handleAwarenessUpdate.bind(this);
+        this.awareness.on('update', this.handleAwarenessUpdate);
+    }
+
+    // Relay presence changes and remember which awareness clients each socket owns,
+    // so their state can be removed when the socket leaves
+    handleAwarenessUpdate({ added, updated, removed }, origin) {
+        if (origin instanceof WebSocket) {
+            added.forEach(clientId => origin.awarenessClientIds.add(clientId));
+            removed.forEach(clientId => origin.awarenessClientIds.delete(clientId));
+        }
+
+        const changedClients = added.concat(updated, removed);
+        const update = encode(encodeAwarenessUpdate(this.awareness, changedClients));
+        this.broadcast(origin, { type: 'awareness', data: update });
+    }
+
+    broadcast(sender, message) {
+        this.clients.forEach((client) => {
+            if (client !== sender) {
+                send(client, message);
+            }
+        });
+    }
+
+    join(socket) {
+        socket.awarenessClientIds = new Set();
+        this.clients.add(socket);
+
+        const { stateVector, update } = this.store.getState(this.documentId);
+        send(socket, {
+            type: 'init',
+            documentId: this.documentId,
+            data: { stateVector: encode(stateVector), update: encode(update) }
+        });
+
+        const clientIds = Array.from(this.awareness.getStates().keys());
+        if (clientIds.length > 0) {
+            send(socket, { type: 'awareness', data: encode(encodeAwarenessUpdate(this.awareness, clientIds)) });
+        }
+    }
+
+    leave(socket) {
+        this.clients.delete(socket);
+        removeAwarenessStates(this.awareness, Array.from(socket.awarenessClientIds), null);
+    }
+
+    handleMessage(socket, message) {
+        switch (message.type) {
+            case 'update':
+                if (typeof message.data !== 'string') return;
+                try {
+                    this.store.applyUpdate(this.documentId, decode(message.data));
+                } catch (error) {
+                    console.error('Error applying update:', error);
+                    return;
+                }
+                this.broadcast(socket, { type: 'update', data: message.data });
+                break;
+            case 'awareness':
+                if (typeof message.data !== 'string') return;
+                try {
+                    applyAwarenessUpdate(this.awareness, decode(message.data), socket);
+                } catch (error) {
+                    console.error('Error applying awareness update:', error);
+                }
+                break;
+            case 'chat':
+                this.broadcast(socket, message);
+                break;
+            default:
+                console.warn(`Unknown message type: ${message.type}`);
+        }
+    }
+
+    // Tell everyone in the room the document is gone
+    close() {
+        this.broadcast(null, { type: 'deleted', documentId: this.documentId });
+        this.destroy();
+    }
+
+    destroy() {
+        this.awareness.off('update', this.handleAwarenessUpdate);
+        this.awareness.destroy();
+        this.clients.clear();
+    }
+}
+
+module.exports = Room;
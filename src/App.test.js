@@ -1,8 +1,28 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import documentService from './services/documentService';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('./services/documentService', () => ({
+    __esModule: true,
+    default: {
+        listDocuments: jest.fn()
+    }
+}));
+
+test('lists the documents on the home page', async () => {
+    documentService.listDocuments.mockResolvedValue([
+        { id: 'abc', title: 'Meeting notes', updatedAt: Date.now() }
+    ]);
+    render(<App />);
+
+    expect(await screen.findByText(/Meeting notes/)).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Documents' })).toBeInTheDocument();
+});
+
+test('explains when the server cannot be reached', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    documentService.listDocuments.mockRejectedValue(new Error('offline'));
+    render(<App />);
+
+    expect(await screen.findByText(/Could not reach the collaboration server/)).toBeInTheDocument();
 });
@@ -1,12 +1,39 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import './ChatSidebar.css';
-import aiService from './services/aiService';
+import aiService, { AIResponseError, AIProviderError } from './services/aiService';
+import storageService from './services/storageService';
 
-const ChatSidebar = ({ onDocumentUpdate, currentDocument }) => {
-    const [messages, setMessages] = useState([]);
+const createThread = () => ({ id: `${Date.now()}`, createdAt: Date.now(), messages: [] });
+
+// Label a thread by its first question
+const getThreadTitle = (thread) => {
+    const first = thread.messages.find(message => message.type === 'user');
+    if (!first) return 'New conversation';
+    return first.content.length > 40 ? `${first.content.slice(0, 40)}…` : first.content;
+};
+
+const ChatSidebar = ({ documentId, onDocumentUpdate, currentDocument }) => {
+    const [chat, setChat] = useState({ activeThreadId: null, threads: [] });
+    const [historyLoaded, setHistoryLoaded] = useState(false);
     const [inputMessage, setInputMessage] = useState('');
     const [isLoading, setIsLoading] = useState(false);
+    const [streamingText, setStreamingText] = useState('');
     const messagesEndRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    const streamingTextRef = useRef('');
+
+    const activeThread = chat.threads.find(thread => thread.id === chat.activeThreadId);
+    const messages = useMemo(() => (activeThread ? activeThread.messages : []), [activeThread]);
+
+    // Add a message to a given thread, so a reply still lands where it was asked
+    const addMessage = (threadId, message) => {
+        setChat(prev => ({
+            ...prev,
+            threads: prev.threads.map(thread => thread.id === threadId
+                ? { ...thread, messages: [...thread.messages, message] }
+                : thread)
+        }));
+    };
 
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -14,11 +41,45 @@ const ChatSidebar = ({ onDocumentUpdate, currentDocument }) => {
 
     useEffect(() => {
         scrollToBottom();
-    }, [messages]);
+    }, [messages, streamingText]);
+
+    // Stop any request still streaming when the sidebar goes away
+    useEffect(() => {
+        return () => abortControllerRef.current?.abort();
+    }, []);
+
+    // Each document keeps its own conversation threads in IndexedDB
+    useEffect(() => {
+        setHistoryLoaded(false);
+        storageService.getChatThreads(documentId).then((saved) => {
+            if (saved.threads.length === 0) {
+                const thread = createThread();
+                setChat({ activeThreadId: thread.id, threads: [thread] });
+            } else {
+                setChat(saved);
+            }
+            setHistoryLoaded(true);
+        });
+    }, [documentId]);
+
+    useEffect(() => {
+        if (historyLoaded) {
+            storageService.saveChatThreads(documentId, chat);
+        }
+    }, [documentId, chat, historyLoaded]);
+
+    const handleNewConversation = () => {
+        if (messages.length === 0) return;
+        const thread = createThread();
+        setChat(prev => ({ activeThreadId: thread.id, threads: [thread, ...prev.threads] }));
+    };
 
     const handleSendMessage = async (e) => {
         e.preventDefault();
-        if (!inputMessage.trim()) return;
+        if (!inputMessage.trim() || !activeThread) return;
+
+        const threadId = activeThread.id;
+        const history = activeThread.messages;
 
         const userMessage = {
             id: Date.now(),
@@ -27,13 +88,25 @@ const ChatSidebar = ({ onDocumentUpdate, currentDocument }) => {
             timestamp: new Date().toLocaleTimeString()
         };
 
-        setMessages(prev => [...prev, userMessage]);
+        addMessage(threadId, userMessage);
         setInputMessage('');
         setIsLoading(true);
+        setStreamingText('');
+        streamingTextRef.current = '';
+
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
 
         try {
-            // Use AI service for response
-            const aiResponse = await aiService.getChatResponse(inputMessage, currentDocument);
+            // Use AI service for response, showing the reply as it streams in
+            const aiResponse = await aiService.getChatResponse(inputMessage, currentDocument, {
+                history,
+                signal: abortController.signal,
+                onToken: (token, fullText) => {
+                    streamingTextRef.current = aiService.extractPartialMessage(fullText);
+                    setStreamingText(streamingTextRef.current);
+                }
+            });
             
             const aiMessage = {
                 id: Date.now() + 1,
@@ -41,34 +114,108 @@ const ChatSidebar = ({ onDocumentUpdate, currentDocument }) => {
                 content: aiResponse.message,
                 timestamp: new Date().toLocaleTimeString(),
                 action: aiResponse.action,
-                newContent: aiResponse.newContent
+                newContent: aiResponse.newContent,
+                provider: aiResponse.provider,
+                failures: aiResponse.failures
             };
 
-            setMessages(prev => [...prev, aiMessage]);
-
-            // If AI wants to modify the document
-            if (aiResponse.action === 'modify' && aiResponse.newContent) {
-                onDocumentUpdate(aiResponse.newContent);
+            // If AI wants to modify the document, its changes are added as suggestions.
+            // The reply notes when none could be (e.g. the edit matched the document).
+            if (aiResponse.action === 'modify' && aiResponse.newDocument) {
+                aiMessage.suggested = await onDocumentUpdate(aiResponse.newDocument);
             }
+
+            addMessage(threadId, aiMessage);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep whatever arrived before the user pressed Stop
+                addMessage(threadId, {
+                    id: Date.now() + 1,
+                    type: 'ai',
+                    content: streamingTextRef.current,
+                    timestamp: new Date().toLocaleTimeString(),
+                    stopped: true
+                });
+                return;
+            }
+
+            if (error instanceof AIResponseError) {
+                // The model answered, but its reply can't safely be applied to the document
+                console.error('Invalid AI response:', error.details, error.rawText);
+                addMessage(threadId, {
+                    id: Date.now() + 1,
+                    type: 'ai',
+                    content: `${error.message} The document was not changed.`,
+                    timestamp: new Date().toLocaleTimeString(),
+                    error: true,
+                    errorDetails: error.details
+                });
+                return;
+            }
+
+            if (error instanceof AIProviderError) {
+                // Every provider was tried and failed
+                addMessage(threadId, {
+                    id: Date.now() + 1,
+                    type: 'ai',
+                    content: 'Sorry, no AI provider could answer. The document was not changed.',
+                    timestamp: new Date().toLocaleTimeString(),
+                    error: true,
+                    errorDetails: error.failures.map(failure => aiService.describeFailure(failure))
+                });
+                return;
+            }
+
             console.error('Error getting AI response:', error);
             const errorMessage = {
                 id: Date.now() + 1,
                 type: 'ai',
                 content: 'Sorry, I encountered an error. Please try again.',
-                timestamp: new Date().toLocaleTimeString()
+                timestamp: new Date().toLocaleTimeString(),
+                error: true
             };
-            setMessages(prev => [...prev, errorMessage]);
+            addMessage(threadId, errorMessage);
         } finally {
+            abortControllerRef.current = null;
+            setStreamingText('');
             setIsLoading(false);
         }
     };
 
+    const handleStop = () => {
+        abortControllerRef.current?.abort();
+    };
+
     return (
         <div className="chat-sidebar">
             <div className="chat-header">
                 <h3>AI Assistant</h3>
                 <p>Chat or ask me to edit the document</p>
+                <div className="chat-threads">
+                    {chat.threads.length > 1 && (
+                        <select
+                            value={chat.activeThreadId || ''}
+                            onChange={(e) => setChat(prev => ({ ...prev, activeThreadId: e.target.value }))}
+                            disabled={isLoading}
+                            className="thread-select"
+                            aria-label="Conversation"
+                        >
+                            {chat.threads.map(thread => (
+                                <option key={thread.id} value={thread.id}>
+                                    {getThreadTitle(thread)}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    <button
+                        type="button"
+                        onClick={handleNewConversation}
+                        disabled={isLoading || messages.length === 0}
+                        className="new-conversation-button"
+                    >
+                        ＋ New conversation
+                    </button>
+                </div>
             </div>
             
             <div className="chat-messages">
@@ -86,27 +233,62 @@ const ChatSidebar = ({ onDocumentUpdate, currentDocument }) => {
                 )}
                 
                 {messages.map((message) => (
-                    <div key={message.id} className={`message ${message.type}`}>
+                    <div key={message.id} className={`message ${message.type}${message.error ? ' error' : ''}`}>
                         <div className="message-content">
                             {message.content}
-                            {message.action === 'modify' && (
+                            {message.errorDetails?.length > 0 && (
+                                <ul className="error-details">
+                                    {/* Providers can fail with the same description, so it can't be the key */}
+                                    {message.errorDetails.map((detail, index) => (
+                                        <li key={index}>{detail}</li>
+                                    ))}
+                                </ul>
+                            )}
+                            {message.action === 'modify' && message.suggested !== false && (
                                 <div className="action-indicator">
-                                    ✨ Document updated
+                                    ✨ Changes suggested in the document
+                                </div>
+                            )}
+                            {message.action === 'modify' && message.suggested === false && (
+                                <div className="action-indicator no-changes">
+                                    No changes could be suggested in the document
+                                </div>
+                            )}
+                            {message.stopped && (
+                                <div className="stopped-indicator">
+                                    ⏹ Stopped
                                 </div>
                             )}
                         </div>
-                        <div className="message-time">{message.timestamp}</div>
+                        <div className="message-time">
+                            {message.timestamp}
+                            {message.provider && (
+                                <span className="message-provider">
+                                    {' · '}{aiService.getProviderLabel(message.provider)}
+                                </span>
+                            )}
+                        </div>
+                        {message.failures?.length > 0 && (
+                            <div className="fallback-note">
+                                ⚠️ Fell back to {aiService.getProviderLabel(message.provider)}
+                                {' '}({message.failures.map(failure => aiService.describeFailure(failure)).join('; ')})
+                            </div>
+                        )}
                     </div>
                 ))}
                 
                 {isLoading && (
                     <div className="message ai loading">
                         <div className="message-content">
-                            <div className="typing-indicator">
-                                <span></span>
-                                <span></span>
-                                <span></span>
-                            </div>
+                            {streamingText ? (
+                                <span className="streaming-text">{streamingText}</span>
+                            ) : (
+                                <div className="typing-indicator">
+                                    <span></span>
+                                    <span></span>
+                                    <span></span>
+                                </div>
+                            )}
                         </div>
                     </div>
                 )}
@@ -123,13 +305,23 @@ const ChatSidebar = ({ onDocumentUpdate, currentDocument }) => {
                     disabled={isLoading}
                     className="chat-input"
                 />
-                <button 
-                    type="submit" 
-                    disabled={isLoading || !inputMessage.trim()}
-                    className="send-button"
-                >
-                    Send
-                </button>
+                {isLoading ? (
+                    <button 
+                        type="button" 
+                        onClick={handleStop}
+                        className="send-button stop-button"
+                    >
+                        Stop
+                    </button>
+                ) : (
+                    <button 
+                        type="submit" 
+                        disabled={!inputMessage.trim()}
+                        className="send-button"
+                    >
+                        Send
+                    </button>
+                )}
             </form>
         </div>
     );
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import aiService from '../services/aiService';
+import './AISettingsPanel.css';
+
+const AISettingsPanel = ({ isOpen, onClose }) => {
+    const [providers, setProviders] = useState([]);
+    const [provider, setProvider] = useState('auto');
+    const [models, setModels] = useState({});
+    const [temperature, setTemperature] = useState(0.7);
+    const [maxTokens, setMaxTokens] = useState(1000);
+    const [failover, setFailover] = useState(true);
+    const [currentProvider, setCurrentProvider] = useState('');
+
+    // Start from the saved settings every time the panel opens
+    useEffect(() => {
+        if (isOpen) {
+            const settings = aiService.getSettings();
+            setProviders(aiService.getProviders());
+            setProvider(settings.provider);
+            setModels(settings.models);
+            setTemperature(settings.temperature);
+            setMaxTokens(settings.maxTokens);
+            setFailover(settings.failover);
+            setCurrentProvider(aiService.getCurrentProvider());
+
+            // Keys may have been added on the server, or Ollama started, since the last check
+            let cancelled = false;
+            aiService.refreshProviders().then(() => {
+                if (cancelled) return;
+                setProviders(aiService.getProviders());
+                setCurrentProvider(aiService.getCurrentProvider());
+            });
+            return () => {
+                cancelled = true;
+            };
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    // With "Auto" the model applies to whichever provider is in use
+    const modelProvider = provider === 'auto' ? currentProvider : provider;
+    const modelInfo = providers.find(p => p.id === modelProvider);
+    const model = models[modelProvider] ?? aiService.getModel(modelProvider) ?? '';
+    const labelFor = (id) => providers.find(p => p.id === id)?.label || id;
+
+    const handleSave = () => {
+        const trimmed = model.trim();
+        const nextModels = { ...models };
+        if (trimmed) {
+            nextModels[modelProvider] = trimmed;
+        } else {
+            delete nextModels[modelProvider];
+        }
+
+        aiService.updateSettings({
+            provider,
+            models: nextModels,
+            temperature: Number(temperature),
+            maxTokens: Math.max(1, parseInt(maxTokens, 10) || 1000),
+            failover
+        });
+        onClose();
+    };
+
+    return (
+        <div className="ai-settings-overlay">
+            <div className="ai-settings-modal">
+                <div className="ai-settings-header">
+                    <h3>⚙️ AI Settings</h3>
+                    <button className="ai-settings-close" onClick={onClose}>×</button>
+                </div>
+
+                <div className="ai-settings-body">
+                    <label className="ai-settings-field">
+                        <span>Provider</span>
+                        <select value={provider} onChange={(e) => setProvider(e.target.value)}>
+                            <option value="auto">Auto (first configured)</option>
+                            {providers.map(p => (
+                                <option key={p.id} value={p.id} disabled={!p.configured}>
+                                    {p.label}{p.configured ? '' : ' (not configured)'}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+
+                    {modelInfo && modelInfo.models.length > 0 && (
+                        <label className="ai-settings-field">
+                            <span>Model for {modelInfo.label}</span>
+                            <input
+                                type="text"
+                                list="ai-settings-models"
+                                value={model}
+                                onChange={(e) => setModels({ ...models, [modelProvider]: e.target.value })}
+                            />
+                            <datalist id="ai-settings-models">
+                                {modelInfo.models.map(m => <option key={m} value={m} />)}
+                            </datalist>
+                        </label>
+                    )}
+
+                    <label className="ai-settings-field">
+                        <span>Temperature <strong>{Number(temperature).toFixed(1)}</strong></span>
+                        <input
+                            type="range"
+                            min="0"
+                            max="2"
+                            step="0.1"
+                            value={temperature}
+                            onChange={(e) => setTemperature(e.target.value)}
+                        />
+                    </label>
+
+                    <label className="ai-settings-field">
+                        <span>Max tokens</span>
+                        <input
+                            type="number"
+                            min="1"
+                            step="50"
+                            value={maxTokens}
+                            onChange={(e) => setMaxTokens(e.target.value)}
+                        />
+                    </label>
+
+                    <label className="ai-settings-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={failover}
+                            onChange={(e) => setFailover(e.target.checked)}
+                        />
+                        <span>Fall back to other configured providers when one fails</span>
+                    </label>
+
+                    <div className="ai-settings-status">
+                        <h4>Providers</h4>
+                        <ul>
+                            {providers.map(p => (
+                                <li key={p.id} className={p.configured ? 'is-configured' : ''}>
+                                    <span>{p.configured ? '✓' : '✗'} {p.label}</span>
+                                    {!p.configured && p.keyVariable && (
+                                        <code>{p.keyVariable}</code>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                        <p className="ai-settings-hint">
+                            API keys are set on the collaboration server, not in the browser.
+                        </p>
+                        <p>Currently using: <strong>{labelFor(currentProvider)}</strong></p>
+                    </div>
+                </div>
+
+                <div className="ai-settings-actions">
+                    <button className="ai-settings-cancel" onClick={onClose}>Cancel</button>
+                    <button className="ai-settings-save" onClick={handleSave}>Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AISettingsPanel;
@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+import './ConnectionStatus.css';
+
+const ConnectionStatus = ({ status, hasPendingChanges, retryAt }) => {
+    const [secondsUntilRetry, setSecondsUntilRetry] = useState(0);
+
+    // Count down to the next reconnection attempt
+    useEffect(() => {
+        if (status !== 'offline' || !retryAt) return;
+
+        const update = () => {
+            setSecondsUntilRetry(Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)));
+        };
+
+        update();
+        const interval = setInterval(update, 1000);
+        return () => clearInterval(interval);
+    }, [status, retryAt]);
+
+    const getLabel = () => {
+        switch (status) {
+            case 'connected':
+                return 'Connected';
+            case 'connecting':
+                return 'Connecting...';
+            case 'offline':
+                return secondsUntilRetry > 0
+                    ? `Offline · retrying in ${secondsUntilRetry}s`
+                    : 'Offline · retrying...';
+            default:
+                return status;
+        }
+    };
+
+    return (
+        <div className={`connection-status ${status}`} title={hasPendingChanges ? 'Your edits are saved locally and will sync when the connection returns' : ''}>
+            <span className="status-dot"></span>
+            <span className="status-label">{getLabel()}</span>
+            {hasPendingChanges && status !== 'connected' && (
+                <span className="pending-changes">Unsynced changes</span>
+            )}
+        </div>
+    );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import documentService from '../services/documentService';
+import storageService from '../services/storageService';
+import './DocumentList.css';
+
+const DocumentList = () => {
+    const navigate = useNavigate();
+    const [documents, setDocuments] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [titleInput, setTitleInput] = useState('');
+    // The document being renamed; cleared as soon as a rename is submitted, so the
+    // blur that follows pressing Enter doesn't send it again
+    const renamingId = useRef(null);
+
+    const loadDocuments = async () => {
+        try {
+            setDocuments(await documentService.listDocuments());
+            setError('');
+        } catch (err) {
+            console.error('Error loading documents:', err);
+            setError('Could not reach the collaboration server. Is it running (npm run server)?');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadDocuments();
+    }, []);
+
+    const handleCreate = async () => {
+        try {
+            const document = await documentService.createDocument();
+            navigate(`/doc/${document.id}`);
+        } catch (err) {
+            console.error('Error creating document:', err);
+            setError('Could not create document.');
+        }
+    };
+
+    const startRename = (document) => {
+        renamingId.current = document.id;
+        setEditingId(document.id);
+        setTitleInput(document.title);
+    };
+
+    const handleRename = async (e) => {
+        e.preventDefault();
+        const id = renamingId.current;
+        renamingId.current = null;
+        setEditingId(null);
+        if (!id) return;
+
+        try {
+            await documentService.renameDocument(id, titleInput);
+            await loadDocuments();
+        } catch (err) {
+            console.error('Error renaming document:', err);
+            setError('Could not rename document.');
+        }
+    };
+
+    const handleDelete = async (document) => {
+        if (!window.confirm(`Delete "${document.title}"? This cannot be undone.`)) return;
+
+        try {
+            await documentService.deleteDocument(document.id);
+            await storageService.deleteDocument(document.id);
+            setDocuments(prev => prev.filter(d => d.id !== document.id));
+        } catch (err) {
+            console.error('Error deleting document:', err);
+            setError('Could not delete document.');
+        }
+    };
+
+    return (
+        <div className="App">
+            <div className="app-header">
+                <h1>Collaborative Editor with AI Assistant</h1>
+            </div>
+            <div className="document-list">
+                <div className="document-list-header">
+                    <h2>Documents</h2>
+                    <button className="new-document-btn" onClick={handleCreate}>
+                        + New Document
+                    </button>
+                </div>
+
+                {error && <div className="document-list-error">{error}</div>}
+
+                {isLoading ? (
+                    <p className="document-list-empty">Loading documents...</p>
+                ) : documents.length === 0 && !error ? (
+                    <p className="document-list-empty">No documents yet. Create one to get started!</p>
+                ) : (
+                    <ul className="document-items">
+                        {documents.map((document) => (
+                            <li key={document.id} className="document-item">
+                                {editingId === document.id ? (
+                                    <form className="document-rename" onSubmit={handleRename}>
+                                        <input
+                                            type="text"
+                                            value={titleInput}
+                                            onChange={(e) => setTitleInput(e.target.value)}
+                                            onBlur={handleRename}
+                                            autoFocus
+                                        />
+                                    </form>
+                                ) : (
+                                    <Link to={`/doc/${document.id}`} className="document-link">
+                                        <span className="document-title-text">📄 {document.title}</span>
+                                        <span className="document-updated">
+                                            Edited {new Date(document.updatedAt).toLocaleString()}
+                                        </span>
+                                    </Link>
+                                )}
+                                <div className="document-actions">
+                                    <button onClick={() => startRename(document)} title="Rename">✏️</button>
+                                    <button onClick={() => handleDelete(document)} title="Delete">🗑️</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default DocumentList;
@@ -0,0 +1,31 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import DocumentList from './DocumentList';
+import documentService from '../services/documentService';
+
+jest.mock('../services/documentService', () => ({
+    __esModule: true,
+    default: {
+        listDocuments: jest.fn(),
+        renameDocument: jest.fn()
+    }
+}));
+
+test('pressing Enter renames the document once', async () => {
+    documentService.listDocuments.mockResolvedValue([{ id: 'abc', title: 'Draft', updatedAt: Date.now() }]);
+    documentService.renameDocument.mockResolvedValue({});
+    render(<DocumentList />, { wrapper: MemoryRouter });
+
+    fireEvent.click(await screen.findByTitle('Rename'));
+    const input = screen.getByDisplayValue('Draft');
+    fireEvent.change(input, { target: { value: 'Final' } });
+    // The input loses focus as the form is submitted, before React re-renders
+    act(() => {
+        input.form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        input.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+    });
+
+    expect(await screen.findByText(/Draft/)).toBeInTheDocument();
+    expect(documentService.renameDocument).toHaveBeenCalledTimes(1);
+    expect(documentService.renameDocument).toHaveBeenCalledWith('abc', 'Final');
+});
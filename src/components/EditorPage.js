@@ -0,0 +1,518 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import * as Y from 'yjs';
+import { Awareness } from 'y-protocols/awareness';
+import ChatSidebar from '../ChatSidebar';
+import FloatingToolbar from './FloatingToolbar';
+import PreviewModal from './PreviewModal';
+import TiptapEditor from './TiptapEditor';
+import PresenceList from './PresenceList';
+import ConnectionStatus from './ConnectionStatus';
+import HistoryPanel from './HistoryPanel';
+import AISettingsPanel from './AISettingsPanel';
+import ExportOptions from './ExportOptions';
+import ImportOptions from './ImportOptions';
+import SuggestionPanel from './SuggestionPanel';
+import aiService from '../services/aiService';
+import documentService from '../services/documentService';
+import CollaborationProvider from '../services/collaborationProvider';
+import storageService from '../services/storageService';
+import importUtils from '../utils/importUtils';
+import yjsUtils from '../utils/yjsUtils';
+import markdownUtils from '../utils/markdownUtils';
+import userUtils from '../utils/userUtils';
+
+function EditorPage({ documentId }) {
+    const navigate = useNavigate();
+    const [ydoc] = useState(() => new Y.Doc());
+    const [awareness] = useState(() => new Awareness(ydoc));
+    const [documentContent, setDocumentContent] = useState(null);
+    const [user, setUser] = useState(userUtils.getLocalUser);
+    const [collaborators, setCollaborators] = useState([]);
+    const [title, setTitle] = useState('');
+    const [connection, setConnection] = useState({ status: 'connecting', hasPendingChanges: false });
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [settingsOpen, setSettingsOpen] = useState(false);
+    // Snapshot of the document taken when the export dialog opens
+    const [exportDocument, setExportDocument] = useState(null);
+    const [pendingImport, setPendingImport] = useState(null);
+    const [suggestions, setSuggestions] = useState([]);
+    
+    // Floating toolbar states
+    const [toolbarVisible, setToolbarVisible] = useState(false);
+    const [toolbarPosition, setToolbarPosition] = useState({ x: 0, y: 0 });
+    const [selectedText, setSelectedText] = useState('');
+    const [selectionRange, setSelectionRange] = useState(null);
+    
+    // Preview modal states
+    const [previewModalOpen, setPreviewModalOpen] = useState(false);
+    const [originalText, setOriginalText] = useState('');
+    const [aiSuggestion, setAiSuggestion] = useState('');
+    const [currentEditType, setCurrentEditType] = useState('');
+    const [isAiLoading, setIsAiLoading] = useState(false);
+    const [suggestionSource, setSuggestionSource] = useState(null);
+    // Providers that failed while generating the suggestion, and why the offline simulation was used
+    const [suggestionFailures, setSuggestionFailures] = useState([]);
+    const [fallbackReason, setFallbackReason] = useState(null);
+    const [suggestionFormat, setSuggestionFormat] = useState('text');
+    
+    const editorRef = useRef(null);
+    const aiAbortControllerRef = useRef(null);
+    const importInputRef = useRef(null);
+
+    useEffect(() => {
+        documentService.getDocument(documentId)
+            .then(metadata => setTitle(metadata.title))
+            .catch(() => setTitle('Untitled document'));
+    }, [documentId]);
+
+    // Publish the local user so other clients can label our caret
+    useEffect(() => {
+        awareness.setLocalStateField('user', user);
+    }, [awareness, user]);
+
+    useEffect(() => {
+        const handleAwarenessChange = () => {
+            const states = Array.from(awareness.getStates().entries())
+                .filter(([, state]) => state.user)
+                .map(([clientId, state]) => ({ clientId, ...state.user }));
+            setCollaborators(states);
+        };
+
+        handleAwarenessChange();
+        awareness.on('change', handleAwarenessChange);
+
+        return () => {
+            awareness.off('change', handleAwarenessChange);
+        };
+    }, [awareness]);
+
+    // Restore the offline copy first so the server only has to send what we lack
+    useEffect(() => {
+        let provider = null;
+        let cancelled = false;
+        const persistence = storageService.bindDocument(documentId, ydoc);
+
+        persistence.whenLoaded.then(() => {
+            if (cancelled) return;
+
+            provider = new CollaborationProvider({
+                url: documentService.socketUrl,
+                documentId,
+                ydoc,
+                awareness,
+                onStatusChange: setConnection,
+                onMessage: (message) => {
+                    if (message.type === 'deleted') {
+                        storageService.deleteDocument(documentId);
+                        alert('This document was deleted.');
+                        navigate('/');
+                    } else if (message.type === 'chat') {
+                        // Handle chat messages if needed
+                        console.log('Chat message received:', message);
+                    }
+                }
+            });
+        });
+
+        return () => {
+            cancelled = true;
+            persistence.destroy();
+            provider && provider.destroy();
+        };
+    }, [ydoc, awareness, documentId, navigate]);
+
+    // Reopen an AI preview that was still pending when the page was closed
+    useEffect(() => {
+        storageService.getDraft(documentId).then((draft) => {
+            if (!draft) return;
+
+            setCurrentEditType(draft.editType);
+            setOriginalText(draft.originalText);
+            setAiSuggestion(draft.aiSuggestion);
+            setSuggestionFormat(draft.format || 'text');
+            setSelectionRange(draft.selectionRange);
+            setPreviewModalOpen(true);
+        });
+    }, [documentId]);
+
+    useEffect(() => {
+        if (previewModalOpen && aiSuggestion && !isAiLoading) {
+            storageService.saveDraft(documentId, {
+                editType: currentEditType,
+                originalText,
+                aiSuggestion,
+                format: suggestionFormat,
+                selectionRange
+            });
+        }
+    }, [documentId, previewModalOpen, aiSuggestion, isAiLoading, currentEditType, originalText, suggestionFormat, selectionRange]);
+
+    const handleEditorChange = (html, text, json) => {
+        setDocumentContent(json);
+        setSuggestions(editorRef.current?.getSuggestions() || []);
+    };
+
+    const handleEditorSelection = (selection) => {
+        if (selection && selection.text.trim() && selection.text.length > 3) {
+            setSelectedText(selection.text);
+            setSelectionRange({
+                from: selection.range.from,
+                to: selection.range.to
+            });
+            
+            setToolbarPosition({
+                x: Math.min(selection.position.x, window.innerWidth - 320),
+                y: Math.max(selection.position.y, 60)
+            });
+            setToolbarVisible(true);
+        } else {
+            hideFloatingToolbar();
+        }
+    };
+
+    // Snapshot the current state on the server, resolving to whether it was saved.
+    // The state is captured before the request is sent.
+    const saveVersion = async (reason) => {
+        try {
+            await documentService.createVersion(documentId, {
+                author: user.name,
+                reason,
+                state: yjsUtils.encode(Y.encodeStateAsUpdate(ydoc))
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving version:', error);
+            return false;
+        }
+    };
+
+    // AI edits, restores and imports only go ahead once the current state has been
+    // saved, so they can always be undone from the version history
+    const saveVersionFirst = async (reason) => {
+        const saved = await saveVersion(reason);
+        if (!saved) {
+            alert('Could not save a version of the document first, so the change was not made. Please try again.');
+        }
+        return saved;
+    };
+
+    // AI rewrites are diffed against the document and added as suggestions for review,
+    // so formatting is kept and collaborators see (and can resolve) the same changes.
+    // Resolves to whether any suggestion was actually added.
+    const handleDocumentUpdate = async (newDocument) => {
+        if (!(await saveVersionFirst('before-ai-edit'))) return false;
+        return !!editorRef.current?.suggestChanges(newDocument, { author: 'AI assistant' });
+    };
+
+    const handleRestoreVersion = async (content) => {
+        if (!(await saveVersionFirst('before-restore'))) return false;
+        editorRef.current?.setContent(content);
+        return true;
+    };
+
+    // Parse a picked or dropped file, then let the user choose how to add it.
+    // `position` is where it was dropped; otherwise it goes at the cursor.
+    const openImport = async (file, position = null) => {
+        const format = importUtils.getFormat(file);
+        if (!format) {
+            alert(`"${file.name}" can't be imported. Choose a Markdown, HTML, plain text or Word file.`);
+            return;
+        }
+
+        try {
+            const content = await importUtils.readFile(file);
+            setPendingImport({ file, format, content, position });
+        } catch (error) {
+            console.error('Error importing file:', error);
+            alert(`Could not read "${file.name}". Please check that it's a valid ${format.toUpperCase()} file.`);
+        }
+    };
+
+    const handleImportFile = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) openImport(file);
+    };
+
+    // Imported content goes through the editor like any other change, so it's
+    // synced to collaborators. The current state is saved as a version first.
+    const handleImport = async (mode) => {
+        const { content, position } = pendingImport;
+        setPendingImport(null);
+
+        if (!(await saveVersionFirst('before-import'))) return;
+        if (mode === 'replace') {
+            editorRef.current?.setContent(content);
+        } else {
+            editorRef.current?.insertContent(content, position);
+        }
+    };
+
+
+    const handleTitleSave = async () => {
+        try {
+            const metadata = await documentService.renameDocument(documentId, title);
+            setTitle(metadata.title);
+        } catch (error) {
+            console.error('Error renaming document:', error);
+        }
+    };
+
+    const handleRename = (name) => {
+        const newUser = { ...user, name };
+        userUtils.saveLocalUser(newUser);
+        setUser(newUser);
+    };
+
+    const hideFloatingToolbar = () => {
+        setToolbarVisible(false);
+        setSelectedText('');
+        setSelectionRange(null);
+    };
+
+    // Handle AI text editing
+    const handleEditWithAI = async (editType, text) => {
+        setCurrentEditType(editType);
+        setOriginalText(text);
+        setAiSuggestion('');
+        setPreviewModalOpen(true);
+        
+        setToolbarVisible(false);
+
+        if (editType !== 'custom') {
+            await requestTextEdit(editType, text);
+        }
+    };
+
+    // Handle custom AI edit
+    const handleCustomEdit = async (customPrompt) => {
+        await requestTextEdit('custom', originalText, customPrompt);
+    };
+
+    // Fill the preview progressively as the suggestion streams in
+    const requestTextEdit = async (editType, text, customPrompt = '') => {
+        const abortController = new AbortController();
+        aiAbortControllerRef.current = abortController;
+        setAiSuggestion('');
+        setSuggestionSource(null);
+        setSuggestionFailures([]);
+        setFallbackReason(null);
+        setSuggestionFormat(aiService.getEditFormat(editType));
+        setIsAiLoading(true);
+
+        try {
+            const result = await aiService.getTextEdit(editType, text, customPrompt, {
+                signal: abortController.signal,
+                onToken: (token, fullText) => setAiSuggestion(fullText)
+            });
+            setAiSuggestion(result.editedText);
+            setSuggestionSource(result.simulated ? 'simulation' : result.provider);
+            setSuggestionFailures(result.failures || []);
+            setFallbackReason(result.simulated ? result.fallbackReason || null : null);
+        } catch (error) {
+            // A stopped request keeps the partial suggestion
+            if (error.name !== 'AbortError') {
+                console.error('Error getting AI edit:', error);
+                setAiSuggestion(editType === 'custom'
+                    ? 'Error: Could not process custom edit.'
+                    : 'Error: Could not process text edit.');
+            }
+        } finally {
+            if (aiAbortControllerRef.current === abortController) {
+                aiAbortControllerRef.current = null;
+                setIsAiLoading(false);
+            }
+        }
+    };
+
+    const handleStopEdit = () => {
+        aiAbortControllerRef.current?.abort();
+    };
+
+    // Confirm AI edit - replace selected text
+    const handleConfirmEdit = async () => {
+        if (selectionRange && aiSuggestion && editorRef.current) {
+            const editor = editorRef.current;
+            // Collaborators (or a reload) may have changed the text since it was selected
+            const selectionChanged = () => editor.getTextBetween(selectionRange.from, selectionRange.to) !== originalText;
+            if (selectionChanged()) {
+                alert('The original text has changed since this suggestion was generated. Please select it again.');
+                return;
+            }
+            // The preview stays open if the current state can't be saved first
+            if (!(await saveVersionFirst('before-ai-edit'))) return;
+            if (selectionChanged()) {
+                alert('The original text has changed since this suggestion was generated. Please select it again.');
+                return;
+            }
+            // Markdown results (tables, lists) are inserted as real nodes, not literal text
+            const content = suggestionFormat === 'markdown'
+                ? markdownUtils.fromMarkdown(aiSuggestion).content
+                : aiSuggestion;
+            editor.replaceRange(selectionRange.from, selectionRange.to, content);
+        }
+        
+        storageService.clearDraft(documentId);
+        setPreviewModalOpen(false);
+        setAiSuggestion('');
+        setOriginalText('');
+        setSelectionRange(null);
+    };
+
+    // Cancel AI edit
+    const handleCancelEdit = () => {
+        aiAbortControllerRef.current?.abort();
+        storageService.clearDraft(documentId);
+        setPreviewModalOpen(false);
+        setAiSuggestion('');
+        setOriginalText('');
+        setIsAiLoading(false);
+    };
+
+    return (
+        <div className="App">
+            <div className="app-header">
+                <div className="document-title">
+                    <Link to="/" className="back-link" title="All documents">←</Link>
+                    <input
+                        type="text"
+                        value={title}
+                        onChange={(e) => setTitle(e.target.value)}
+                        onBlur={handleTitleSave}
+                        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                        className="title-input"
+                        aria-label="Document title"
+                    />
+                </div>
+                <ConnectionStatus
+                    status={connection.status}
+                    hasPendingChanges={connection.hasPendingChanges}
+                    retryAt={connection.retryAt}
+                />
+                <PresenceList
+                    collaborators={collaborators}
+                    localClientId={ydoc.clientID}
+                    onRename={handleRename}
+                />
+            </div>
+            <div className="app-content">
+                <div className="editor-container">
+                    <div className="editor-header">
+                        <div className="editor-header-text">
+                            <h2>Rich Text Editor</h2>
+                            <p>Start typing or ask the AI assistant to help you!</p>
+                        </div>
+                        <div className="editor-header-actions">
+                            <button
+                                onClick={() => setExportDocument(editorRef.current?.getEditor()?.getJSON() || null)}
+                                title="Download this document"
+                            >
+                                📥 Export
+                            </button>
+                            <button
+                                onClick={() => importInputRef.current?.click()}
+                                title="Import a Markdown, HTML, text or Word file (or drop one onto the editor)"
+                            >
+                                📂 Import
+                            </button>
+                            <input
+                                ref={importInputRef}
+                                type="file"
+                                accept={importUtils.accept}
+                                onChange={handleImportFile}
+                                hidden
+                            />
+                            <button onClick={() => setHistoryOpen(true)} title="Version history">
+                                🕘 History
+                            </button>
+                            <button onClick={() => setSettingsOpen(true)} title="AI provider and model">
+                                ⚙️ AI Settings
+                            </button>
+                        </div>
+                    </div>
+                    <SuggestionPanel
+                        suggestions={suggestions}
+                        onAccept={(id) => editorRef.current?.resolveSuggestion(id, true)}
+                        onReject={(id) => editorRef.current?.resolveSuggestion(id, false)}
+                        onAcceptAll={() => editorRef.current?.resolveAllSuggestions(true)}
+                        onRejectAll={() => editorRef.current?.resolveAllSuggestions(false)}
+                        onSelect={(suggestion) => editorRef.current?.focusRange(suggestion.from, suggestion.from)}
+                    />
+                    <TiptapEditor
+                        ref={editorRef}
+                        ydoc={ydoc}
+                        awareness={awareness}
+                        user={user}
+                        onChange={handleEditorChange}
+                        onSelectionChange={handleEditorSelection}
+                        onFileDrop={openImport}
+                        onSaveVersion={saveVersionFirst}
+                        placeholder="Start writing your document here..."
+                    />
+                </div>
+                <ChatSidebar 
+                    documentId={documentId}
+                    onDocumentUpdate={handleDocumentUpdate}
+                    currentDocument={documentContent}
+                />
+            </div>
+            
+            {/* Floating Toolbar */}
+            <FloatingToolbar 
+                isVisible={toolbarVisible}
+                position={toolbarPosition}
+                selectedText={selectedText}
+                onEditWithAI={handleEditWithAI}
+                onClose={hideFloatingToolbar}
+            />
+            
+            <HistoryPanel
+                isOpen={historyOpen}
+                documentId={documentId}
+                getEditor={() => editorRef.current?.getEditor()}
+                onSaveVersion={saveVersion}
+                onRestore={handleRestoreVersion}
+                onClose={() => setHistoryOpen(false)}
+            />
+
+            <ExportOptions
+                isOpen={!!exportDocument}
+                document={exportDocument}
+                title={title}
+                onClose={() => setExportDocument(null)}
+            />
+
+            <ImportOptions
+                pendingImport={pendingImport}
+                documentIsEmpty={editorRef.current?.getEditor()?.isEmpty ?? true}
+                onImport={handleImport}
+                onClose={() => setPendingImport(null)}
+            />
+
+            <AISettingsPanel
+                isOpen={settingsOpen}
+                onClose={() => setSettingsOpen(false)}
+            />
+
+            {/* Preview Modal */}
+            <PreviewModal 
+                isOpen={previewModalOpen}
+                originalText={originalText}
+                aiSuggestion={aiSuggestion}
+                editType={currentEditType}
+                isLoading={isAiLoading}
+                source={suggestionSource}
+                failures={suggestionFailures}
+                fallbackReason={fallbackReason}
+                format={suggestionFormat}
+                onConfirm={handleConfirmEdit}
+                onCancel={handleCancelEdit}
+                onCustomEdit={handleCustomEdit}
+                onStop={handleStopEdit}
+            />
+        </div>
+    );
+}
+
+export default EditorPage;
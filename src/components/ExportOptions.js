@@ -1,58 +1,90 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import './ExportOptions.css';
 import downloadUtils from '../utils/downloadUtils';
+import { DEFAULT_PDF_OPTIONS, PDF_MARGINS, PDF_PAGE_SIZES } from '../utils/pdfUtils';
 
-const ExportOptions = ({ isOpen, onClose, documentContent }) => {
+// `document` is the editor's Tiptap JSON; pending suggestions are left out of the export
+const ExportOptions = ({ isOpen, onClose, document, title = '' }) => {
     const [selectedFormat, setSelectedFormat] = useState('txt');
     const [filename, setFilename] = useState('');
     const [documentStats, setDocumentStats] = useState({});
+    const [pdfOptions, setPdfOptions] = useState(DEFAULT_PDF_OPTIONS);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const doc = useMemo(() => (document ? downloadUtils.toDocumentNode(document) : null), [document]);
+    const documentContent = useMemo(() => (doc ? downloadUtils.convertToText(doc) : ''), [doc]);
+    const pendingSuggestions = useMemo(() => (document ? downloadUtils.countSuggestions(document) : 0), [document]);
+    // Name files after the document title, or its first line when it has none
+    const filenameSource = title.trim() || documentContent;
 
     const exportFormats = [
         { value: 'txt', label: 'Plain Text (.txt)', icon: '📄' },
         { value: 'md', label: 'Markdown (.md)', icon: '📝' },
         { value: 'html', label: 'HTML (.html)', icon: '🌐' },
         { value: 'json', label: 'JSON with metadata (.json)', icon: '💾' },
-        { value: 'rtf', label: 'Rich Text Format (.rtf)', icon: '📋' }
+        { value: 'rtf', label: 'Rich Text Format (.rtf)', icon: '📋' },
+        { value: 'docx', label: 'Word Document (.docx)', icon: '📘' },
+        { value: 'pdf', label: 'PDF (.pdf)', icon: '📕' }
     ];
 
     useEffect(() => {
         if (documentContent) {
             setDocumentStats(downloadUtils.getDocumentStats(documentContent));
-            setFilename(downloadUtils.generateFilename(documentContent, selectedFormat));
+            setFilename(downloadUtils.generateFilename(filenameSource, selectedFormat));
         }
-    }, [documentContent, selectedFormat]);
+    }, [documentContent, filenameSource, selectedFormat]);
 
-    const handleExport = () => {
+    const handleExport = async () => {
         if (!documentContent.trim()) {
             alert('Document is empty. Please add some content before exporting.');
             return;
         }
 
-        const finalFilename = filename || downloadUtils.generateFilename(documentContent, selectedFormat);
-
-        switch (selectedFormat) {
-            case 'txt':
-                downloadUtils.downloadAsText(documentContent, finalFilename);
-                break;
-            case 'md':
-                downloadUtils.downloadAsMarkdown(documentContent, finalFilename);
-                break;
-            case 'html':
-                downloadUtils.downloadAsHTML(documentContent, finalFilename);
-                break;
-            case 'json':
-                downloadUtils.downloadAsJSON(documentContent, finalFilename);
-                break;
-            case 'rtf':
-                downloadUtils.downloadAsRTF(documentContent, finalFilename);
-                break;
-            default:
-                downloadUtils.downloadAsText(documentContent, finalFilename);
+        const finalFilename = filename || downloadUtils.generateFilename(filenameSource, selectedFormat);
+        const documentTitle = title.trim() || 'Document';
+
+        setIsExporting(true);
+        try {
+            switch (selectedFormat) {
+                case 'txt':
+                    downloadUtils.downloadAsText(doc, finalFilename);
+                    break;
+                case 'md':
+                    downloadUtils.downloadAsMarkdown(doc, finalFilename);
+                    break;
+                case 'html':
+                    downloadUtils.downloadAsHTML(doc, finalFilename, documentTitle);
+                    break;
+                case 'json':
+                    downloadUtils.downloadAsJSON(doc, finalFilename, documentTitle);
+                    break;
+                case 'rtf':
+                    downloadUtils.downloadAsRTF(doc, finalFilename);
+                    break;
+                case 'docx':
+                    await downloadUtils.downloadAsDOCX(doc, finalFilename, documentTitle);
+                    break;
+                case 'pdf':
+                    await downloadUtils.downloadAsPDF(doc, finalFilename, documentTitle, pdfOptions);
+                    break;
+                default:
+                    downloadUtils.downloadAsText(doc, finalFilename);
+            }
+        } catch (error) {
+            console.error(`${selectedFormat} export failed:`, error);
+            alert('Could not create the file. Please try another format.');
+            return;
+        } finally {
+            setIsExporting(false);
         }
 
         onClose();
     };
 
+    const updatePdfOption = (key, value) => {
+        setPdfOptions(options => ({ ...options, [key]: value }));
+    };
+
     const handleFilenameChange = (e) => {
         let value = e.target.value;
         // Remove invalid filename characters
@@ -116,6 +148,70 @@ const ExportOptions = ({ isOpen, onClose, documentContent }) => {
                         </div>
                     </div>
 
+                    {selectedFormat === 'pdf' && (
+                        <div className="pdf-options">
+                            <h4>Page Layout</h4>
+                            <div className="pdf-options-grid">
+                                <label>
+                                    Page size
+                                    <select
+                                        value={pdfOptions.pageSize}
+                                        onChange={(e) => updatePdfOption('pageSize', e.target.value)}
+                                    >
+                                        {Object.entries(PDF_PAGE_SIZES).map(([value, size]) => (
+                                            <option key={value} value={value}>{size.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <label>
+                                    Orientation
+                                    <select
+                                        value={pdfOptions.orientation}
+                                        onChange={(e) => updatePdfOption('orientation', e.target.value)}
+                                    >
+                                        <option value="portrait">Portrait</option>
+                                        <option value="landscape">Landscape</option>
+                                    </select>
+                                </label>
+                                <label>
+                                    Margins
+                                    <select
+                                        value={pdfOptions.margins}
+                                        onChange={(e) => updatePdfOption('margins', e.target.value)}
+                                    >
+                                        {Object.entries(PDF_MARGINS).map(([value, margin]) => (
+                                            <option key={value} value={value}>{margin.label}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            </div>
+                            <label className="pdf-option-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={pdfOptions.header}
+                                    onChange={(e) => updatePdfOption('header', e.target.checked)}
+                                />
+                                Title in page header
+                            </label>
+                            <label className="pdf-option-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={pdfOptions.pageNumbers}
+                                    onChange={(e) => updatePdfOption('pageNumbers', e.target.checked)}
+                                />
+                                Page numbers in footer
+                            </label>
+                            <label className="pdf-option-checkbox">
+                                <input
+                                    type="checkbox"
+                                    checked={pdfOptions.tableOfContents}
+                                    onChange={(e) => updatePdfOption('tableOfContents', e.target.checked)}
+                                />
+                                Table of contents from headings
+                            </label>
+                        </div>
+                    )}
+
                     {/* Filename Input */}
                     <div className="filename-input">
                         <h4>Filename</h4>
@@ -129,17 +225,24 @@ const ExportOptions = ({ isOpen, onClose, documentContent }) => {
                             />
                             <button
                                 className="generate-filename-btn"
-                                onClick={() => setFilename(downloadUtils.generateFilename(documentContent, selectedFormat))}
-                                title="Generate filename from content"
+                                onClick={() => setFilename(downloadUtils.generateFilename(filenameSource, selectedFormat))}
+                                title="Generate filename from the document title"
                             >
                                 🔄
                             </button>
                         </div>
                         <p className="filename-help">
-                            Leave empty to auto-generate from content
+                            Leave empty to auto-generate from the document title
                         </p>
                     </div>
 
+                    {pendingSuggestions > 0 && (
+                        <p className="export-notice">
+                            ⚠️ {pendingSuggestions} pending suggestion{pendingSuggestions === 1 ? ' is' : 's are'} not
+                            included. Accept {pendingSuggestions === 1 ? 'it' : 'them'} first to export the changes.
+                        </p>
+                    )}
+
                     {/* Preview */}
                     {documentContent.trim() && (
                         <div className="content-preview">
@@ -159,9 +262,9 @@ const ExportOptions = ({ isOpen, onClose, documentContent }) => {
                     <button 
                         className="export-button" 
                         onClick={handleExport}
-                        disabled={!documentContent.trim()}
+                        disabled={!documentContent.trim() || isExporting}
                     >
-                        📥 Export Document
+                        {isExporting ? 'Exporting…' : '📥 Export Document'}
                     </button>
                 </div>
             </div>
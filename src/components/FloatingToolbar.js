@@ -60,6 +60,20 @@ const FloatingToolbar = ({
             description: 'Convert to bullet points',
             action: () => onEditWithAI('list', selectedText)
         },
+        {
+            id: 'checklist',
+            label: 'To Checklist',
+            icon: '☑️',
+            description: 'Convert to a task list',
+            action: () => onEditWithAI('checklist', selectedText)
+        },
+        {
+            id: 'steps',
+            label: 'To Numbered Steps',
+            icon: '🔢',
+            description: 'Convert to ordered steps',
+            action: () => onEditWithAI('steps', selectedText)
+        },
         {
             id: 'summarize',
             label: 'Summarize',
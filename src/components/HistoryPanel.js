@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import documentService from '../services/documentService';
+import diffUtils from '../utils/diffUtils';
+import yjsUtils from '../utils/yjsUtils';
+import './HistoryPanel.css';
+
+const REASON_LABELS = {
+    'manual': '💾 Saved manually',
+    'autosave': '⏱️ Autosave',
+    'before-ai-edit': '🤖 Before AI edit',
+    'before-restore': '↩️ Before restore',
+    'before-import': '📂 Before import',
+    'before-source-edit': '📝 Before Markdown source edit'
+};
+
+// Plain text of a ProseMirror document with blank lines between blocks
+const getDocText = (doc) => doc.textBetween(0, doc.content.size, '\n\n');
+
+const HistoryPanel = ({ isOpen, documentId, getEditor, onSaveVersion, onRestore, onClose }) => {
+    const [versions, setVersions] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [selected, setSelected] = useState(null);
+
+    const loadVersions = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            setVersions(await documentService.listVersions(documentId));
+            setError('');
+        } catch (err) {
+            console.error('Error loading versions:', err);
+            setError('Could not load version history. Are you online?');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [documentId]);
+
+    useEffect(() => {
+        if (isOpen) {
+            setSelected(null);
+            loadVersions();
+        }
+    }, [isOpen, loadVersions]);
+
+    const handleSelect = async (version) => {
+        const editor = getEditor();
+        if (!editor) return;
+
+        try {
+            const fullVersion = await documentService.getVersion(documentId, version.id);
+            const versionDoc = yjsUtils.stateToProseMirrorDoc(fullVersion.state, editor.schema);
+            const versionText = getDocText(versionDoc);
+            const currentText = getDocText(editor.state.doc);
+
+            setSelected({
+                ...version,
+                doc: versionDoc,
+                diff: diffUtils.sideBySide(versionText, currentText),
+                stats: diffUtils.getChangeStats(versionText, currentText)
+            });
+        } catch (err) {
+            console.error('Error loading version:', err);
+            setError('Could not load this version.');
+        }
+    };
+
+    const handleSave = async () => {
+        if (!(await onSaveVersion('manual'))) {
+            setError('Could not save a version.');
+            return;
+        }
+        loadVersions();
+    };
+
+    const handleRestore = async () => {
+        if (!selected) return;
+        if (!window.confirm('Restore this version? The current document will be saved as a version first.')) return;
+
+        // Nothing is restored if the current document couldn't be saved first
+        if (await onRestore(selected.doc.toJSON())) onClose();
+    };
+
+    const renderParts = (parts) => parts.map((part, i) => (
+        <span key={i} className={`diff-${part.type}`}>{part.text}</span>
+    ));
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="history-overlay">
+            <div className="history-modal">
+                <div className="history-header">
+                    <h3>🕘 Version History</h3>
+                    <div className="history-header-actions">
+                        <button className="save-version-btn" onClick={handleSave}>
+                            💾 Save version
+                        </button>
+                        <button className="history-close" onClick={onClose}>×</button>
+                    </div>
+                </div>
+
+                <div className="history-body">
+                    <ul className="version-list">
+                        {isLoading && <li className="version-list-empty">Loading...</li>}
+                        {!isLoading && versions.length === 0 && (
+                            <li className="version-list-empty">No versions saved yet</li>
+                        )}
+                        {versions.map((version) => (
+                            <li
+                                key={version.id}
+                                className={`version-item ${selected?.id === version.id ? 'is-selected' : ''}`}
+                                onClick={() => handleSelect(version)}
+                            >
+                                <span className="version-reason">{REASON_LABELS[version.reason] || version.reason}</span>
+                                <span className="version-meta">
+                                    {version.author} · {new Date(version.createdAt).toLocaleString()}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="version-preview">
+                        {error && <div className="history-error">{error}</div>}
+                        {selected ? (
+                            <>
+                                <div className="version-comparison">
+                                    <div className="version-side">
+                                        <h4>📜 {new Date(selected.createdAt).toLocaleString()}</h4>
+                                        <div className="version-text">{renderParts(selected.diff.left)}</div>
+                                    </div>
+                                    <div className="version-side">
+                                        <h4>📝 Current document</h4>
+                                        <div className="version-text">{renderParts(selected.diff.right)}</div>
+                                    </div>
+                                </div>
+                                <div className="version-actions">
+                                    <span className="version-stats">
+                                        <span className="diff-added">+{selected.stats.added}</span>
+                                        {' / '}
+                                        <span className="diff-removed">-{selected.stats.removed}</span>
+                                        {' words since this version'}
+                                    </span>
+                                    <button className="restore-btn" onClick={handleRestore}>
+                                        ↩️ Restore this version
+                                    </button>
+                                </div>
+                            </>
+                        ) : (
+                            <div className="version-placeholder">
+                                Select a version to compare it with the current document
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default HistoryPanel;
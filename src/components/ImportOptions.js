@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import './ImportOptions.css';
+import downloadUtils from '../utils/downloadUtils';
+import { IMPORT_FORMATS } from '../utils/importUtils';
+
+// `pendingImport` is { file, format, content, position } for a parsed file; `position`
+// is set when the file was dropped onto the editor
+const ImportOptions = ({ pendingImport, documentIsEmpty, onImport, onClose }) => {
+    const [mode, setMode] = useState('replace');
+
+    useEffect(() => {
+        if (pendingImport) {
+            setMode(documentIsEmpty ? 'replace' : 'insert');
+        }
+    }, [pendingImport, documentIsEmpty]);
+
+    const preview = useMemo(() => {
+        if (!pendingImport) return '';
+        return downloadUtils.convertToText(downloadUtils.toDocumentNode(pendingImport.content));
+    }, [pendingImport]);
+
+    if (!pendingImport) return null;
+
+    const { file, format, position } = pendingImport;
+    const { words } = downloadUtils.getDocumentStats(preview);
+
+    return (
+        <div className="import-overlay">
+            <div className="import-modal">
+                <div className="import-header">
+                    <h3>📂 Import Document</h3>
+                    <button className="import-close" onClick={onClose}>×</button>
+                </div>
+
+                <div className="import-content">
+                    <p className="import-file">
+                        <strong>{file.name}</strong>
+                        <span>{IMPORT_FORMATS[format].label} · {words} word{words === 1 ? '' : 's'}</span>
+                    </p>
+
+                    <div className="import-modes">
+                        <label className="import-mode">
+                            <input
+                                type="radio"
+                                name="import-mode"
+                                value="replace"
+                                checked={mode === 'replace'}
+                                onChange={() => setMode('replace')}
+                            />
+                            Replace the whole document
+                        </label>
+                        <label className="import-mode">
+                            <input
+                                type="radio"
+                                name="import-mode"
+                                value="insert"
+                                checked={mode === 'insert'}
+                                onChange={() => setMode('insert')}
+                            />
+                            {position == null ? 'Insert at the cursor' : 'Insert where it was dropped'}
+                        </label>
+                    </div>
+
+                    {mode === 'replace' && !documentIsEmpty && (
+                        <p className="import-notice">
+                            The current content is saved to version history first, so it can be restored.
+                        </p>
+                    )}
+
+                    {preview.trim() && (
+                        <div className="import-preview">
+                            <h4>Preview</h4>
+                            <div className="import-preview-content">
+                                {preview.substring(0, 300)}
+                                {preview.length > 300 && '...'}
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                <div className="import-actions">
+                    <button className="import-cancel" onClick={onClose}>
+                        Cancel
+                    </button>
+                    <button className="import-button" onClick={() => onImport(mode)}>
+                        📂 Import
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportOptions;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import userUtils from '../utils/userUtils';
+import './PresenceList.css';
+
+const PresenceList = ({ collaborators, localClientId, onRename }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [nameInput, setNameInput] = useState('');
+
+    const localUser = collaborators.find(c => c.clientId === localClientId);
+
+    const startEditing = () => {
+        setNameInput(localUser?.name || '');
+        setIsEditing(true);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (nameInput.trim()) {
+            onRename(nameInput.trim());
+        }
+        setIsEditing(false);
+    };
+
+    return (
+        <div className="presence-list">
+            <span className="presence-count">
+                {collaborators.length} {collaborators.length === 1 ? 'person' : 'people'} editing
+            </span>
+            <div className="presence-avatars">
+                {collaborators.map((collaborator) => (
+                    <div
+                        key={collaborator.clientId}
+                        className={`presence-avatar ${collaborator.clientId === localClientId ? 'is-local' : ''}`}
+                        style={{ backgroundColor: collaborator.color }}
+                        title={collaborator.clientId === localClientId ? `${collaborator.name} (you)` : collaborator.name}
+                    >
+                        {userUtils.getInitials(collaborator.name)}
+                    </div>
+                ))}
+            </div>
+            {isEditing ? (
+                <form className="presence-rename" onSubmit={handleSubmit}>
+                    <input
+                        type="text"
+                        value={nameInput}
+                        onChange={(e) => setNameInput(e.target.value)}
+                        onBlur={handleSubmit}
+                        maxLength={40}
+                        autoFocus
+                    />
+                </form>
+            ) : (
+                <button
+                    type="button"
+                    className="presence-name"
+                    onClick={startEditing}
+                    title="Change your display name"
+                >
+                    {localUser?.name || 'You'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default PresenceList;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import './PreviewModal.css';
+import aiService from '../services/aiService';
 
 const PreviewModal = ({ 
     isOpen, 
@@ -7,9 +8,14 @@ const PreviewModal = ({
     aiSuggestion, 
     editType,
     isLoading,
+    source,
+    failures = [],
+    fallbackReason,
+    format,
     onConfirm, 
     onCancel,
-    onCustomEdit 
+    onCustomEdit,
+    onStop
 }) => {
     const [customPrompt, setCustomPrompt] = useState('');
     const [showCustomInput, setShowCustomInput] = useState(false);
@@ -32,6 +38,8 @@ const PreviewModal = ({
             'casual': '😊 Made Casual',
             'table': '📊 Table Format',
             'list': '📋 List Format',
+            'checklist': '☑️ Checklist',
+            'steps': '🔢 Numbered Steps',
             'summarize': '📄 Summarized',
             'custom': '🎯 Custom Edit'
         };
@@ -107,15 +115,45 @@ const PreviewModal = ({
                         </div>
 
                         <div className="comparison-side suggestion">
-                            <h4>🤖 AI Suggestion</h4>
-                            {isLoading ? (
+                            <h4>
+                                🤖 AI Suggestion
+                                {source && !isLoading && (
+                                    <span className={`suggestion-source ${source === 'simulation' ? 'simulated' : ''}`}>
+                                        {source === 'simulation' ? '⚠️ Offline simulation' : `via ${aiService.getProviderLabel(source)}`}
+                                    </span>
+                                )}
+                            </h4>
+                            {!isLoading && (fallbackReason || failures.length > 0) && (
+                                <div className="suggestion-fallback-note">
+                                    ⚠️ {fallbackReason
+                                        ? `${fallbackReason}, so this suggestion comes from the offline simulation`
+                                        : `Fell back to ${aiService.getProviderLabel(source)}`}
+                                    {failures.length > 0 && ` (${failures.map(failure => aiService.describeFailure(failure)).join('; ')})`}
+                                </div>
+                            )}
+                            {isLoading && !aiSuggestion ? (
                                 <div className="loading-suggestion">
                                     <div className="loading-spinner"></div>
                                     <p>AI is working on your text...</p>
+                                    <button className="stop-btn" onClick={onStop}>
+                                        ⏹ Stop
+                                    </button>
                                 </div>
+                            ) : isLoading ? (
+                                <>
+                                    <div className={`text-content suggestion-text streaming ${format === 'markdown' ? 'markdown' : ''}`}>
+                                        {aiSuggestion}
+                                    </div>
+                                    <div className="text-stats">
+                                        <span>Generating...</span>
+                                        <button className="stop-btn" onClick={onStop}>
+                                            ⏹ Stop
+                                        </button>
+                                    </div>
+                                </>
                             ) : aiSuggestion ? (
                                 <>
-                                    <div className={`text-content suggestion-text ${diff?.type}`}>
+                                    <div className={`text-content suggestion-text ${diff?.type} ${format === 'markdown' ? 'markdown' : ''}`}>
                                         {aiSuggestion}
                                     </div>
                                     <div className="text-stats">
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import './SuggestionPanel.css';
+
+// Review bar for pending tracked-change suggestions. The suggestions themselves
+// live in the shared document, so every collaborator sees the same list.
+const SuggestionPanel = ({ suggestions, onAccept, onReject, onAcceptAll, onRejectAll, onSelect }) => {
+    const [expanded, setExpanded] = useState(true);
+
+    if (suggestions.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="suggestion-panel">
+            <div className="suggestion-panel-header">
+                <button
+                    type="button"
+                    className="suggestion-toggle"
+                    onClick={() => setExpanded(!expanded)}
+                    aria-expanded={expanded}
+                >
+                    {expanded ? '▾' : '▸'} {suggestions.length} suggested {suggestions.length === 1 ? 'change' : 'changes'}
+                </button>
+                <div className="suggestion-panel-actions">
+                    <button type="button" className="accept-all-btn" onClick={onAcceptAll}>
+                        ✓ Accept all
+                    </button>
+                    <button type="button" className="reject-all-btn" onClick={onRejectAll}>
+                        ✕ Reject all
+                    </button>
+                </div>
+            </div>
+
+            {expanded && (
+                <ul className="suggestion-list">
+                    {suggestions.map((suggestion) => (
+                        <li key={suggestion.id} className="suggestion-item">
+                            <button
+                                type="button"
+                                className="suggestion-preview"
+                                onClick={() => onSelect(suggestion)}
+                                title="Show in document"
+                            >
+                                {suggestion.deleted && <del>{suggestion.deleted}</del>}
+                                {suggestion.inserted && <ins>{suggestion.inserted}</ins>}
+                            </button>
+                            {suggestion.author && (
+                                <span className="suggestion-author">{suggestion.author}</span>
+                            )}
+                            <button
+                                type="button"
+                                className="suggestion-accept"
+                                onClick={() => onAccept(suggestion.id)}
+                                title="Accept"
+                            >
+                                ✓
+                            </button>
+                            <button
+                                type="button"
+                                className="suggestion-reject"
+                                onClick={() => onReject(suggestion.id)}
+                                title="Reject"
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SuggestionPanel;
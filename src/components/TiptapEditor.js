@@ -1,42 +1,62 @@
-import React, { useEffect, useImperativeHandle, forwardRef } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useImperativeHandle, forwardRef } from 'react';
 import { useEditor, EditorContent } from '@tiptap/react';
-import StarterKit from '@tiptap/starter-kit';
-import CharacterCount from '@tiptap/extension-character-count';
-import Highlight from '@tiptap/extension-highlight';
-import TaskList from '@tiptap/extension-task-list';
-import TaskItem from '@tiptap/extension-task-item';
+import { Mapping } from '@tiptap/pm/transform';
+import Collaboration from '@tiptap/extension-collaboration';
+import CollaborationCaret from '@tiptap/extension-collaboration-caret';
+import documentExtensions from '../extensions/documentExtensions';
+import { getSuggestions } from '../extensions/Suggestions';
+import CharacterLimit, { SKIP_CHARACTER_LIMIT } from '../extensions/CharacterLimit';
+import MarkdownPaste from '../extensions/MarkdownPaste';
+import importUtils from '../utils/importUtils';
+import markdownUtils from '../utils/markdownUtils';
 import './TiptapEditor.css';
 
-const TiptapEditor = forwardRef(({ content, onChange, onSelectionChange, placeholder }, ref) => {
+const TiptapEditor = forwardRef(({ ydoc, awareness, user, onChange, onSelectionChange, onFileDrop, onSaveVersion, placeholder }, ref) => {
+    const [sourceMode, setSourceMode] = useState(false);
+    const [source, setSource] = useState('');
+    // The Markdown last loaded into the source view, to tell whether it has been edited
+    const loadedSource = useRef('');
+    const currentSource = useRef('');
+    // Changes made to the document since the source was loaded, e.g. by collaborators
+    const loadedMapping = useRef(new Mapping());
+    const applyingSource = useRef(null);
+
     const editor = useEditor({
         extensions: [
-            StarterKit.configure({
-                history: {
-                    depth: 100,
-                },
-            }),
-            CharacterCount.configure({
-                limit: 10000,
+            ...documentExtensions,
+            MarkdownPaste,
+            Collaboration.configure({
+                document: ydoc,
             }),
-            Highlight.configure({
-                multicolor: true,
+            CollaborationCaret.configure({
+                provider: { awareness },
+                user,
             }),
-            TaskList,
-            TaskItem.configure({
-                nested: true,
+            // Limits typing and pasting; changes made through the ref below skip it
+            CharacterLimit.configure({
+                limit: 10000,
             }),
         ],
-        content: content,
         editorProps: {
             attributes: {
                 class: 'tiptap-editor-content',
                 'data-placeholder': placeholder || 'Start writing your document here...',
             },
+            // Dropped documents are handed to onFileDrop along with the drop position
+            handleDrop: (view, event, slice, moved) => {
+                const file = event.dataTransfer?.files?.[0];
+                if (moved || !file || !onFileDrop || !importUtils.getFormat(file)) return false;
+
+                event.preventDefault();
+                const position = view.posAtCoords({ left: event.clientX, top: event.clientY });
+                onFileDrop(file, position ? position.pos : null);
+                return true;
+            },
         },
         onUpdate: ({ editor }) => {
             const html = editor.getHTML();
             const text = editor.getText();
-            onChange && onChange(html, text);
+            onChange && onChange(html, text, editor.getJSON());
         },
         onSelectionUpdate: ({ editor }) => {
             const { from, to } = editor.state.selection;
@@ -56,16 +76,137 @@ const TiptapEditor = forwardRef(({ content, onChange, onSelectionChange, placeho
                 onSelectionChange && onSelectionChange(null);
             }
         },
-    });
+    }, [ydoc, awareness]);
+
+    // Keep our caret label in sync when the user renames themselves
+    useEffect(() => {
+        if (editor && user) {
+            editor.commands.updateUser(user);
+        }
+    }, [editor, user]);
+
+    const loadSource = useCallback(() => {
+        const markdown = markdownUtils.toMarkdown(editor.getJSON());
+        loadedSource.current = markdown;
+        currentSource.current = markdown;
+        loadedMapping.current = new Mapping();
+        setSource(markdown);
+    }, [editor]);
+
+    // Source edits replace only the part of the document whose Markdown changed,
+    // mapped past whatever collaborators changed since it was loaded, so their edits
+    // and pending suggestions elsewhere are kept. A version is saved first, like
+    // for imports and restores; without changes nothing happens at all.
+    const replaceFromSource = async () => {
+        const markdown = currentSource.current;
+        if (!editor || markdown === loadedSource.current) return;
+
+        const range = markdownUtils.changedRange(loadedSource.current, markdown, editor.schema);
+        if (range && onSaveVersion && !(await onSaveVersion('before-source-edit'))) return;
+
+        if (range) {
+            const mapping = loadedMapping.current;
+            const from = mapping.map(range.from, 1);
+            const to = Math.max(from, mapping.map(range.to, -1));
+            const tr = editor.state.tr.replace(from, to, range.slice).setMeta(SKIP_CHARACTER_LIMIT, true);
+            editor.view.dispatch(tr);
+        }
+        loadedSource.current = markdown;
+        loadedMapping.current = new Mapping();
+    };
+
+    // Blurring the source view and switching back both apply it; the second call
+    // waits for the first instead of applying the same edit twice
+    const applySource = () => {
+        if (!applyingSource.current) {
+            applyingSource.current = replaceFromSource().finally(() => {
+                applyingSource.current = null;
+            });
+        }
+        return applyingSource.current;
+    };
+
+    const handleSourceChange = (event) => {
+        currentSource.current = event.target.value;
+        setSource(event.target.value);
+    };
+
+    const toggleSourceMode = async () => {
+        if (sourceMode) {
+            await applySource();
+            setSourceMode(false);
+            editor.commands.focus();
+        } else {
+            loadSource();
+            setSourceMode(true);
+        }
+    };
+
+    // Collaborators' edits show up in the source view unless there are unapplied local
+    // edits; then they're tracked so applying the source doesn't undo them
+    useEffect(() => {
+        if (!editor || !sourceMode) return;
+
+        const handleTransaction = ({ transaction }) => {
+            if (transaction.docChanged) loadedMapping.current.appendMapping(transaction.mapping);
+        };
+        const handleUpdate = () => {
+            if (currentSource.current === loadedSource.current) loadSource();
+        };
+        editor.on('transaction', handleTransaction);
+        editor.on('update', handleUpdate);
+        return () => {
+            editor.off('transaction', handleTransaction);
+            editor.off('update', handleUpdate);
+        };
+    }, [editor, sourceMode, loadSource]);
 
     // Expose editor methods through ref
     useImperativeHandle(ref, () => ({
         getEditor: () => editor,
         getHTML: () => editor?.getHTML(),
         getText: () => editor?.getText(),
-        setContent: (content) => editor?.commands.setContent(content),
+        setContent: (content) => editor?.chain().setMeta(SKIP_CHARACTER_LIMIT, true).setContent(content).run(),
         replaceRange: (from, to, content) => {
-            editor?.chain().focus().deleteRange({ from, to }).insertContent(content).run();
+            editor?.chain().focus().setMeta(SKIP_CHARACTER_LIMIT, true).insertContentAt({ from, to }, content).run();
+        },
+        // Insert a whole document's content at a position, or over the selection
+        insertContent: (doc, position = null) => {
+            if (!editor) return;
+            const { from, to } = editor.state.selection;
+            editor.chain().focus().setMeta(SKIP_CHARACTER_LIMIT, true).insertContentAt(position ?? { from, to }, doc.content || []).run();
+        },
+        getTextBetween: (from, to) => {
+            const size = editor?.state.doc.content.size || 0;
+            if (!editor || from < 0 || to > size || from > to) return '';
+            return editor.state.doc.textBetween(from, to);
+        },
+        // Tracked-change suggestions; see extensions/Suggestions.js
+        // Whether suggestions were added: the command succeeds before its transaction is
+        // applied, so a transaction that gets filtered out leaves the document unchanged
+        suggestChanges: (newContent, options) => {
+            if (!editor) return false;
+            const before = editor.state.doc;
+            const added = editor.chain().setMeta(SKIP_CHARACTER_LIMIT, true).suggestChanges(newContent, options).run();
+            return added && editor.state.doc !== before;
+        },
+        getSuggestions: () => (editor ? getSuggestions(editor.state.doc) : []),
+        resolveSuggestion: (id, accept) => {
+            if (accept) {
+                editor?.commands.acceptSuggestion(id);
+            } else {
+                editor?.commands.rejectSuggestion(id);
+            }
+        },
+        resolveAllSuggestions: (accept) => {
+            if (accept) {
+                editor?.commands.acceptAllSuggestions();
+            } else {
+                editor?.commands.rejectAllSuggestions();
+            }
+        },
+        focusRange: (from, to) => {
+            editor?.chain().focus().setTextSelection({ from, to }).scrollIntoView().run();
         },
         getSelection: () => {
             const { from, to } = editor?.state.selection || { from: 0, to: 0 };
@@ -77,21 +218,17 @@ const TiptapEditor = forwardRef(({ content, onChange, onSelectionChange, placeho
         }
     }));
 
-    // Update content when prop changes
-    useEffect(() => {
-        if (editor && content !== editor.getHTML()) {
-            editor.commands.setContent(content, false);
-        }
-    }, [editor, content]);
-
     if (!editor) {
         return null;
     }
 
+    // Suggestion marks have no Markdown form, so they have to be resolved first
+    const sourceLocked = !sourceMode && getSuggestions(editor.state.doc).length > 0;
+
     return (
         <div className="tiptap-editor">
             {/* Toolbar */}
-            <div className="tiptap-toolbar">
+            <div className={`tiptap-toolbar${sourceMode ? ' is-source-mode' : ''}`}>
                 <div className="toolbar-group">
                     <button
                         type="button"
@@ -208,6 +345,64 @@ const TiptapEditor = forwardRef(({ content, onChange, onSelectionChange, placeho
 
                 <div className="toolbar-separator"></div>
 
+                <div className="toolbar-group">
+                    <button
+                        type="button"
+                        onClick={() => editor.chain().focus().insertTable({ rows: 3, cols: 3, withHeaderRow: true }).run()}
+                        disabled={!editor.can().insertTable()}
+                        title="Insert Table"
+                    >
+                        ⊞ Table
+                    </button>
+                    {editor.isActive('table') && (
+                        <>
+                            <button
+                                type="button"
+                                onClick={() => editor.chain().focus().addRowAfter().run()}
+                                title="Add Row Below"
+                            >
+                                +Row
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => editor.chain().focus().deleteRow().run()}
+                                title="Delete Row"
+                            >
+                                −Row
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => editor.chain().focus().addColumnAfter().run()}
+                                title="Add Column Right"
+                            >
+                                +Col
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => editor.chain().focus().deleteColumn().run()}
+                                title="Delete Column"
+                            >
+                                −Col
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => editor.chain().focus().toggleHeaderRow().run()}
+                                title="Toggle Header Row"
+                            >
+                                Header
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => editor.chain().focus().deleteTable().run()}
+                                title="Delete Table"
+                            >
+                                🗑️
+                            </button>
+                        </>
+                    )}
+                </div>
+                <div className="toolbar-separator"></div>
+
                 <div className="toolbar-group">
                     <button
                         type="button"
@@ -226,10 +421,35 @@ const TiptapEditor = forwardRef(({ content, onChange, onSelectionChange, placeho
                         ↷
                     </button>
                 </div>
+                <div className="toolbar-separator"></div>
+
+                <div className="toolbar-group toolbar-source-toggle">
+                    <button
+                        type="button"
+                        onClick={toggleSourceMode}
+                        className={sourceMode ? 'is-active' : ''}
+                        disabled={sourceLocked}
+                        title={sourceLocked
+                            ? 'Resolve the pending suggestions before editing the Markdown source'
+                            : sourceMode ? 'Back to the formatted view' : 'Edit the Markdown source'}
+                    >
+                        M↓
+                    </button>
+                </div>
             </div>
 
-            {/* Editor Content */}
-            <EditorContent editor={editor} />
+            {/* Editor Content; kept mounted in source mode so collaboration carries on */}
+            <EditorContent editor={editor} hidden={sourceMode} />
+            {sourceMode && (
+                <textarea
+                    className="markdown-source"
+                    value={source}
+                    onChange={handleSourceChange}
+                    onBlur={applySource}
+                    spellCheck={false}
+                    autoFocus
+                />
+            )}
 
             {/* Status Bar */}
             <div className="tiptap-status-bar">
@@ -0,0 +1,37 @@
+// Character limit for what people type and paste. Tiptap's CharacterCount drops
+// every transaction that would go over its limit, so an import, a version restore,
+// a Markdown source edit or an AI suggestion that makes the document longer would
+// silently do nothing, and so would collaborators' changes arriving through Yjs.
+// Those skip the limit here: programmatic changes by setting SKIP_CHARACTER_LIMIT
+// as transaction meta, remote changes by their Yjs sync meta. Trimming a long
+// document when it first loads is turned off as well, since the first
+// transaction is usually the document arriving from the server.
+import CharacterCount from '@tiptap/extension-character-count';
+import { Plugin } from '@tiptap/pm/state';
+import { ySyncPluginKey } from '@tiptap/y-tiptap';
+
+export const SKIP_CHARACTER_LIMIT = 'skipCharacterLimit';
+
+const skipsLimit = (transaction) => !!transaction.getMeta(SKIP_CHARACTER_LIMIT) || !!transaction.getMeta(ySyncPluginKey);
+
+export const CharacterLimit = CharacterCount.extend({
+    addOptions() {
+        return {
+            ...this.parent?.(),
+            autoTrim: false
+        };
+    },
+
+    addProseMirrorPlugins() {
+        return (this.parent?.() || []).map((plugin) => {
+            const { filterTransaction } = plugin.spec;
+            if (!filterTransaction) return plugin;
+            return new Plugin({
+                ...plugin.spec,
+                filterTransaction: (transaction, state) => skipsLimit(transaction) || filterTransaction(transaction, state)
+            });
+        });
+    }
+});
+
+export default CharacterLimit;
@@ -0,0 +1,53 @@
+import { Editor } from '@tiptap/core';
+import documentExtensions from './documentExtensions';
+import CharacterLimit, { SKIP_CHARACTER_LIMIT } from './CharacterLimit';
+
+const paragraph = (text) => ({ type: 'paragraph', content: [{ type: 'text', text }] });
+const doc = (...content) => ({ type: 'doc', content });
+const long = 'x'.repeat(30);
+
+let editor;
+
+beforeEach(() => {
+    editor = new Editor({
+        extensions: [...documentExtensions, CharacterLimit.configure({ limit: 20 })],
+        content: doc(paragraph('short'))
+    });
+});
+
+afterEach(() => {
+    editor.destroy();
+});
+
+describe('CharacterLimit', () => {
+    test('a long document is not trimmed when it loads', () => {
+        editor.destroy();
+        editor = new Editor({
+            extensions: [...documentExtensions, CharacterLimit.configure({ limit: 20 })],
+            content: doc(paragraph(long))
+        });
+        editor.commands.deleteRange({ from: 1, to: 2 });
+
+        expect(editor.getText()).toBe(long.slice(1));
+    });
+
+    test('typing past the limit is blocked', () => {
+        editor.commands.insertContentAt(1, long);
+
+        expect(editor.getText()).toBe('short');
+    });
+
+    test('changes marked to skip the limit are applied', () => {
+        editor.chain().setMeta(SKIP_CHARACTER_LIMIT, true).setContent(doc(paragraph(long))).run();
+
+        expect(editor.getText()).toBe(long);
+        expect(editor.storage.characterCount.characters()).toBe(30);
+    });
+
+    test('suggestions over the limit are added', () => {
+        const added = editor.chain().setMeta(SKIP_CHARACTER_LIMIT, true).suggestChanges(doc(paragraph(long))).run();
+
+        expect(added).toBe(true);
+        expect(editor.getText()).toContain(long);
+    });
+});
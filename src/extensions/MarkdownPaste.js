@@ -0,0 +1,39 @@
+// Markdown pasting. The document extensions already turn `## `, `- `, `[ ] `,
+// `**bold**`, `[text](url)` and the like into formatting as they're typed; this
+// converts pasted Markdown into formatted content the same way imports and AI
+// responses are parsed (utils/markdownUtils.js).
+import { Extension, getHTMLFromFragment } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
+import markdownUtils from '../utils/markdownUtils';
+
+// Clipboard HTML with real formatting (from a web page or word processor) is
+// pasted as is; code editors and terminals only offer styled spans
+const FORMATTED_HTML = /<(?:h[1-6]|p|ul|ol|li|table|blockquote|pre|strong|b|em|i|u|s|del|mark|a)[\s>]/i;
+
+export const MarkdownPaste = Extension.create({
+    name: 'markdownPaste',
+
+    addProseMirrorPlugins() {
+        const { editor } = this;
+
+        return [
+            new Plugin({
+                key: new PluginKey('markdownPaste'),
+                props: {
+                    handlePaste: (view, event) => {
+                        const text = event.clipboardData?.getData('text/plain');
+                        const html = event.clipboardData?.getData('text/html');
+                        if (!text || view.state.selection.$from.parent.type.spec.code) return false;
+                        if ((html && FORMATTED_HTML.test(html)) || !markdownUtils.looksLikeMarkdown(text)) return false;
+
+                        // Paste it as HTML so it goes through the editor's normal paste handling
+                        const doc = editor.schema.nodeFromJSON(markdownUtils.fromMarkdown(text));
+                        return view.pasteHTML(getHTMLFromFragment(doc.content, editor.schema));
+                    },
+                },
+            }),
+        ];
+    },
+});
+
+export default MarkdownPaste;
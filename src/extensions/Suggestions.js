@@ -0,0 +1,552 @@
+// Tracked-change suggestions. Proposed edits are stored in the document itself as
+// insertion/deletion marks on text and a `suggestion` attribute on whole nodes, so
+// they sync to collaborators like any other content and stay reviewable until
+// someone accepts or rejects them.
+import { Extension, Mark, mergeAttributes } from '@tiptap/core';
+import { Fragment } from '@tiptap/pm/model';
+import { Transform } from '@tiptap/pm/transform';
+import { diffArrays, diffWordsWithSpace } from 'diff';
+
+const INSERTION = 'suggestionInsertion';
+const DELETION = 'suggestionDeletion';
+
+// Block nodes that can be suggested for insertion or deletion as a whole. Marks
+// only cover text, so rules, tables and list items need to be tracked themselves.
+const SUGGESTION_NODE_TYPES = [
+    'paragraph', 'heading', 'blockquote', 'codeBlock', 'horizontalRule',
+    'bulletList', 'orderedList', 'listItem', 'taskList', 'taskItem',
+    'table', 'tableRow', 'tableHeader', 'tableCell'
+];
+
+// Shown in the review panel for suggested nodes without any text
+const NODE_PLACEHOLDERS = { horizontalRule: '———' };
+
+const suggestionAttributes = () => ({
+    id: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-suggestion-id'),
+        renderHTML: attributes => ({ 'data-suggestion-id': attributes.id })
+    },
+    author: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-author'),
+        renderHTML: attributes => attributes.author
+            ? { 'data-author': attributes.author, title: `Suggested by ${attributes.author}` }
+            : {}
+    },
+    createdAt: {
+        default: null,
+        parseHTML: element => Number(element.getAttribute('data-created-at')) || null,
+        renderHTML: attributes => attributes.createdAt ? { 'data-created-at': attributes.createdAt } : {}
+    }
+});
+
+export const SuggestionInsertion = Mark.create({
+    name: INSERTION,
+    inclusive: false,
+
+    addAttributes() {
+        return suggestionAttributes();
+    },
+
+    parseHTML() {
+        return [{ tag: 'ins[data-suggestion-id]' }];
+    },
+
+    // Pending suggestions are plain text in Markdown
+    renderMarkdown: (node, h) => h.renderChildren(node),
+
+    renderHTML({ HTMLAttributes }) {
+        return ['ins', mergeAttributes({ class: 'suggestion suggestion-insertion' }, HTMLAttributes), 0];
+    }
+});
+
+export const SuggestionDeletion = Mark.create({
+    name: DELETION,
+    inclusive: false,
+
+    addAttributes() {
+        return suggestionAttributes();
+    },
+
+    parseHTML() {
+        return [{ tag: 'del[data-suggestion-id]' }];
+    },
+
+    renderMarkdown: (node, h) => h.renderChildren(node),
+
+    renderHTML({ HTMLAttributes }) {
+        return ['del', mergeAttributes({ class: 'suggestion suggestion-deletion' }, HTMLAttributes), 0];
+    }
+});
+
+const createSuggestionId = () => Math.random().toString(36).slice(2, 10);
+
+const isSuggestionMark = (mark) => mark.type.name === INSERTION || mark.type.name === DELETION;
+
+// Formatting of an inline node, leaving out pending suggestions
+const marksKey = (marks) => marks
+    .filter(mark => !isSuggestionMark(mark))
+    .map(mark => `${mark.type.name}${JSON.stringify(mark.attrs)}`)
+    .join(',');
+
+// Plain text of a textblock, with enough bookkeeping to map text offsets back to
+// positions. Hard breaks count as newlines, like editor.getText(). `formatting`
+// holds the marks of every character, so formatting changes can be found too.
+const describeTextblock = (node, pos) => {
+    const segments = [];
+    const formatting = [];
+    let text = '';
+    node.forEach((child, offset) => {
+        const value = child.isText ? child.text : (child.type.name === 'hardBreak' ? '\n' : '');
+        segments.push({ from: text.length, pos: pos + 1 + offset, length: value.length });
+        text += value;
+        formatting.push(...Array(value.length).fill(marksKey(child.marks)));
+    });
+    return { pos, node, text, segments, formatting };
+};
+
+const positionAt = (block, offset) => {
+    for (const segment of block.segments) {
+        if (offset <= segment.from + segment.length) {
+            return segment.pos + Math.max(0, offset - segment.from);
+        }
+    }
+    return block.pos + block.node.nodeSize - 1;
+};
+
+// Copy of a node with the given mark added to all of its inline content
+const withMark = (node, mark) => {
+    if (node.isInline) {
+        return node.mark(mark.addToSet(node.marks));
+    }
+    const children = [];
+    node.forEach(child => children.push(withMark(child, mark)));
+    return node.copy(Fragment.from(children));
+};
+
+const canTrackNode = (node) => !!node.type.attrs.suggestion;
+
+// Node attributes apart from any pending suggestion, for comparing old and new
+// nodes. Column widths are left out too: they come from resizing in the editor
+// and can't be expressed in the Markdown the AI sends back.
+const plainAttrs = ({ suggestion, colwidth, ...attrs }) => JSON.stringify(attrs);
+
+// Old and new children with the same key are considered unchanged. The key covers
+// the whole subtree, so changes without any text (an added empty list item, a
+// ticked task, new formatting) are found as well.
+const nodeKey = (node) => {
+    if (node.isText) return `${marksKey(node.marks)}:${node.text}`;
+    const children = [];
+    node.forEach(child => children.push(nodeKey(child)));
+    return `${node.type.name}:${plainAttrs(node.attrs)}:${marksKey(node.marks)}[${children.join('|')}]`;
+};
+
+const hasInlineContent = (doc, from, to) => {
+    let found = false;
+    doc.nodesBetween(from, to, (node) => {
+        found = found || node.isInline;
+        return !found;
+    });
+    return found;
+};
+
+// Diff the text of an existing textblock against its replacement, returning
+// deletions to mark and insertions to add. Neighbouring removed/added words form
+// a single replacement that is accepted or rejected together. Inserted text keeps
+// the formatting it has in the new block.
+const diffTextblock = (block, newNode, changes) => {
+    // Positions inside the new node, relative to its content
+    const newBlock = describeTextblock(newNode, -1);
+    let offset = 0;
+    let newOffset = 0;
+    let currentId = null;
+
+    // Text that stays the same but changes formatting (e.g. a word made bold) is
+    // suggested as replacing the old text with the newly formatted one
+    const diffFormatting = (length) => {
+        let start = null;
+        for (let i = 0; i <= length; i++) {
+            const changed = i < length && block.formatting[offset + i] !== newBlock.formatting[newOffset + i];
+            if (changed && start === null) {
+                start = i;
+            } else if (!changed && start !== null) {
+                currentId = currentId || createSuggestionId();
+                changes.push({
+                    type: 'delete',
+                    id: currentId,
+                    from: positionAt(block, offset + start),
+                    to: positionAt(block, offset + i)
+                });
+                changes.push({
+                    type: 'insert',
+                    id: currentId,
+                    pos: positionAt(block, offset + i),
+                    content: newNode.content.cut(positionAt(newBlock, newOffset + start), positionAt(newBlock, newOffset + i))
+                });
+                start = null;
+            }
+            if (!changed) currentId = null;
+        }
+    };
+
+    diffWordsWithSpace(block.text, newBlock.text).forEach((part) => {
+        if (!part.added && !part.removed) {
+            diffFormatting(part.value.length);
+            offset += part.value.length;
+            newOffset += part.value.length;
+            return;
+        }
+
+        currentId = currentId || createSuggestionId();
+        if (part.removed) {
+            changes.push({
+                type: 'delete',
+                id: currentId,
+                from: positionAt(block, offset),
+                to: positionAt(block, offset + part.value.length)
+            });
+            offset += part.value.length;
+        } else {
+            const content = newNode.content.cut(
+                positionAt(newBlock, newOffset),
+                positionAt(newBlock, newOffset + part.value.length)
+            );
+            changes.push({ type: 'insert', id: currentId, pos: positionAt(block, offset), content });
+            newOffset += part.value.length;
+        }
+    });
+};
+
+// Line up the children of an existing node with those of its replacement and
+// collect the changes between them. Matching containers (lists, quotes, ...) are
+// compared recursively, so only the parts that actually differ are suggested.
+const diffChildren = (parent, contentStart, newParent, changes) => {
+    const children = [];
+    parent.forEach((node, offset) => children.push({ node, pos: contentStart + offset }));
+    const newChildren = [];
+    newParent.forEach(node => newChildren.push(node));
+
+    const parts = diffArrays(children.map(child => nodeKey(child.node)), newChildren.map(nodeKey));
+    let index = 0;
+    let newIndex = 0;
+
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        if (!part.added && !part.removed) {
+            index += part.count;
+            newIndex += part.count;
+            continue;
+        }
+
+        // A removed run next to an added run rewrites those nodes in place
+        let removedCount = 0;
+        let addedCount = 0;
+        const next = parts[i + 1];
+        if (part.removed) {
+            removedCount = part.count;
+            if (next?.added) {
+                addedCount = next.count;
+                i++;
+            }
+        } else {
+            addedCount = part.count;
+            if (next?.removed) {
+                removedCount = next.count;
+                i++;
+            }
+        }
+
+        const previous = children[index - 1];
+        diffRun(
+            children.slice(index, index + removedCount),
+            newChildren.slice(newIndex, newIndex + addedCount),
+            previous ? previous.pos + previous.node.nodeSize : contentStart,
+            changes
+        );
+
+        index += removedCount;
+        newIndex += addedCount;
+    }
+};
+
+// Pair up the nodes of a rewritten run by type, so a changed paragraph is
+// compared with a paragraph rather than with whatever replaced it positionally.
+// Unpaired old nodes are suggested for deletion, unpaired new ones for insertion;
+// next to each other they replace one another (e.g. a paragraph that became a
+// heading) and are accepted or rejected together.
+const diffRun = (removed, added, runStart, changes) => {
+    const parts = diffArrays(removed.map(child => child.node.type.name), added.map(node => node.type.name));
+    let index = 0;
+    let newIndex = 0;
+    let replacementId = null;
+
+    parts.forEach((part) => {
+        if (!part.added && !part.removed) {
+            for (let k = 0; k < part.count; k++) {
+                diffNode(removed[index + k], added[newIndex + k], changes);
+            }
+            index += part.count;
+            newIndex += part.count;
+            replacementId = null;
+        } else if (part.removed) {
+            const id = replacementId || createSuggestionId();
+            replacementId = id;
+            removed.slice(index, index + part.count).forEach(({ node, pos }) => {
+                changes.push({ type: 'delete', id, from: pos, to: pos + node.nodeSize, wholeNode: true });
+            });
+            index += part.count;
+        } else {
+            const previous = removed[index - 1];
+            replacementId = replacementId || createSuggestionId();
+            changes.push({
+                type: 'insert',
+                id: replacementId,
+                pos: previous ? previous.pos + previous.node.nodeSize : runStart,
+                content: Fragment.from(added.slice(newIndex, newIndex + part.count)),
+                wholeNode: true
+            });
+            newIndex += part.count;
+        }
+    });
+};
+
+const diffNode = (child, newNode, changes) => {
+    const { node, pos } = child;
+
+    if (node.type !== newNode.type || plainAttrs(node.attrs) !== plainAttrs(newNode.attrs)) {
+        // Different kind of block (e.g. a paragraph that became a heading) or new
+        // attributes (a ticked task): suggest removing the old one and adding the
+        // new one as a single change
+        const id = createSuggestionId();
+        changes.push({ type: 'delete', id, from: pos, to: pos + node.nodeSize, wholeNode: true });
+        changes.push({ type: 'insert', id, pos: pos + node.nodeSize, content: Fragment.from(newNode), wholeNode: true });
+    } else if (node.isTextblock) {
+        diffTextblock(describeTextblock(node, pos), newNode, changes);
+    } else if (!node.isLeaf) {
+        diffChildren(node, pos + 1, newNode, changes);
+    }
+};
+
+// Add the changes needed to turn the document into newContent (Tiptap JSON) as
+// suggestion marks and node attributes. Returns the number of ranges and nodes
+// actually marked, so a diff that could not be shown counts as no suggestion.
+const addSuggestions = (tr, newContent, { author = null } = {}) => {
+    const { schema } = tr.doc.type;
+    const changes = [];
+    diffChildren(tr.doc, 0, schema.nodeFromJSON(newContent), changes);
+
+    const attrs = (id) => ({ id, author, createdAt: Date.now() });
+    // Changes refer to the document as it was before this function added any steps
+    const firstStep = tr.steps.length;
+    const map = (pos) => tr.mapping.slice(firstStep).map(pos);
+    let marked = 0;
+
+    changes.forEach((change) => {
+        if (change.type === 'delete') {
+            const from = map(change.from);
+            const to = map(change.to);
+            const node = change.wholeNode ? tr.doc.nodeAt(from) : null;
+            const flagNode = !!node && canTrackNode(node);
+            if (flagNode) {
+                tr.setNodeMarkup(from, null, { ...node.attrs, suggestion: { kind: 'delete', ...attrs(change.id) } });
+            }
+            const markText = hasInlineContent(tr.doc, from, to);
+            if (markText) {
+                tr.addMark(from, to, schema.marks[DELETION].create(attrs(change.id)));
+            }
+            if (flagNode || markText) marked++;
+        } else {
+            const mark = schema.marks[INSERTION].create(attrs(change.id));
+            const nodes = [];
+            change.content.forEach((node) => {
+                const copy = withMark(node, mark);
+                nodes.push(change.wholeNode && canTrackNode(copy)
+                    ? copy.type.create({ ...copy.attrs, suggestion: { kind: 'insert', ...attrs(change.id) } }, copy.content, copy.marks)
+                    : copy);
+            });
+            if (nodes.length > 0) {
+                tr.insert(map(change.pos), nodes);
+                marked++;
+            }
+        }
+    });
+
+    return marked;
+};
+
+// Accept or reject the suggestions whose ids are in `ids` (all of them when ids is null)
+const resolveSuggestions = (tr, ids, accept) => {
+    const removedType = accept ? DELETION : INSERTION;
+    const removedKind = accept ? 'delete' : 'insert';
+    const unmark = [];
+    const remove = [];
+    const keepNodes = [];
+    const removeNodes = [];
+
+    tr.doc.descendants((node, pos) => {
+        const { suggestion } = node.attrs;
+        if (suggestion && (!ids || ids.has(suggestion.id))) {
+            // Nodes being removed go as a whole, whatever their content is marked with
+            if (suggestion.kind === removedKind) {
+                removeNodes.push({ from: pos, to: pos + node.nodeSize, wholeBlock: true });
+                return false;
+            }
+            keepNodes.push({ pos, node });
+        }
+        if (!node.isInline) return true;
+        node.marks.forEach((mark) => {
+            const name = mark.type.name;
+            if ((name === INSERTION || name === DELETION) && (!ids || ids.has(mark.attrs.id))) {
+                (name === removedType ? remove : unmark).push({ from: pos, to: pos + node.nodeSize, mark });
+            }
+        });
+        return false;
+    });
+
+    keepNodes.forEach(({ pos, node }) => tr.setNodeMarkup(pos, null, { ...node.attrs, suggestion: null }));
+    unmark.forEach(({ from, to, mark }) => tr.removeMark(from, to, mark));
+    const firstStep = tr.steps.length;
+
+    // Drop whole blocks whose content is entirely being removed, so rejected new
+    // paragraphs and accepted paragraph deletions don't leave empty lines behind
+    const byBlock = new Map();
+    remove.forEach((range) => {
+        const blockPos = tr.doc.resolve(range.from).before();
+        if (!byBlock.has(blockPos)) byBlock.set(blockPos, []);
+        byBlock.get(blockPos).push(range);
+    });
+
+    const ranges = [...removeNodes];
+    byBlock.forEach((blockRanges, blockPos) => {
+        const block = tr.doc.nodeAt(blockPos);
+        const removedSize = blockRanges.reduce((size, range) => size + range.to - range.from, 0);
+        if (removedSize === block.content.size) {
+            ranges.push({ from: blockPos, to: blockPos + block.nodeSize, wholeBlock: true });
+        } else {
+            ranges.push(...blockRanges);
+        }
+    });
+
+    ranges
+        .sort((a, b) => b.from - a.from)
+        .forEach(({ from, to, wholeBlock }) => {
+            const mappedFrom = tr.mapping.slice(firstStep).map(from);
+            const mappedTo = tr.mapping.slice(firstStep).map(to);
+            if (wholeBlock) {
+                tr.deleteRange(mappedFrom, mappedTo);
+            } else {
+                tr.delete(mappedFrom, mappedTo);
+            }
+        });
+
+    return keepNodes.length + removeNodes.length + unmark.length + remove.length > 0;
+};
+
+// List pending suggestions in document order, e.g. for a review panel
+export const getSuggestions = (doc) => {
+    const suggestions = new Map();
+
+    const add = ({ id, author, createdAt }, inserted, text, pos, end) => {
+        if (!suggestions.has(id)) {
+            suggestions.set(id, { id, author, createdAt, from: pos, inserted: '', deleted: '' });
+        }
+        const suggestion = suggestions.get(id);
+        if (!text) return;
+        const separator = (value) => (value && pos > suggestion.lastPos ? ' ' : '');
+        if (inserted) {
+            suggestion.inserted += separator(suggestion.inserted) + text;
+        } else {
+            suggestion.deleted += separator(suggestion.deleted) + text;
+        }
+        suggestion.lastPos = end;
+    };
+
+    doc.descendants((node, pos) => {
+        const { suggestion } = node.attrs;
+        if (suggestion) {
+            // Text inside the node is listed through its marks; nodes without any
+            // still need something to show
+            const text = node.textContent ? '' : (NODE_PLACEHOLDERS[node.type.name] || '¶');
+            add(suggestion, suggestion.kind === 'insert', text, pos, pos + node.nodeSize);
+        }
+        if (!node.isText) return true;
+        node.marks.forEach((mark) => {
+            const name = mark.type.name;
+            if (name === INSERTION || name === DELETION) {
+                add(mark.attrs, name === INSERTION, node.text, pos, pos + node.nodeSize);
+            }
+        });
+        return false;
+    });
+
+    return Array.from(suggestions.values()).map(({ lastPos, ...suggestion }) => suggestion);
+};
+
+// The document as it was before any pending suggestions, e.g. for exporting
+export const withoutSuggestions = (doc) => {
+    const tr = new Transform(doc);
+    resolveSuggestions(tr, null, false);
+    return tr.doc;
+};
+
+export const Suggestions = Extension.create({
+    name: 'suggestions',
+
+    addExtensions() {
+        return [SuggestionInsertion, SuggestionDeletion];
+    },
+
+    addGlobalAttributes() {
+        return [{
+            types: SUGGESTION_NODE_TYPES,
+            attributes: {
+                suggestion: {
+                    default: null,
+                    keepOnSplit: false,
+                    parseHTML: (element) => {
+                        const kind = element.getAttribute('data-suggestion');
+                        if (kind !== 'insert' && kind !== 'delete') return null;
+                        return {
+                            kind,
+                            id: element.getAttribute('data-suggestion-id'),
+                            author: element.getAttribute('data-author'),
+                            createdAt: Number(element.getAttribute('data-created-at')) || null
+                        };
+                    },
+                    renderHTML: attributes => attributes.suggestion
+                        ? {
+                            'data-suggestion': attributes.suggestion.kind,
+                            'data-suggestion-id': attributes.suggestion.id,
+                            ...(attributes.suggestion.author ? { 'data-author': attributes.suggestion.author } : {}),
+                            ...(attributes.suggestion.createdAt ? { 'data-created-at': attributes.suggestion.createdAt } : {})
+                        }
+                        : {}
+                }
+            }
+        }];
+    },
+
+    addCommands() {
+        return {
+            suggestChanges: (newContent, options = {}) => ({ tr, dispatch }) => {
+                if (!dispatch) return true;
+                return addSuggestions(tr, newContent, options) > 0;
+            },
+            acceptSuggestion: (id) => ({ tr, dispatch }) => {
+                return dispatch ? resolveSuggestions(tr, new Set([id]), true) : true;
+            },
+            rejectSuggestion: (id) => ({ tr, dispatch }) => {
+                return dispatch ? resolveSuggestions(tr, new Set([id]), false) : true;
+            },
+            acceptAllSuggestions: () => ({ tr, dispatch }) => {
+                return dispatch ? resolveSuggestions(tr, null, true) : true;
+            },
+            rejectAllSuggestions: () => ({ tr, dispatch }) => {
+                return dispatch ? resolveSuggestions(tr, null, false) : true;
+            }
+        };
+    }
+});
+
+export default Suggestions;
@@ -0,0 +1,234 @@
+import { Editor } from '@tiptap/core';
+import documentExtensions from './documentExtensions';
+import { getSuggestions, withoutSuggestions } from './Suggestions';
+
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks ? { marks } : {}) });
+const paragraph = (...content) => ({
+    type: 'paragraph',
+    content: content.map(part => (typeof part === 'string' ? text(part) : part))
+});
+const bold = [{ type: 'bold' }];
+const task = (value, checked) => ({ type: 'taskItem', attrs: { checked }, content: [paragraph(value)] });
+const rule = { type: 'horizontalRule' };
+const list = (...items) => ({
+    type: 'bulletList',
+    content: items.map(text => ({ type: 'listItem', content: [paragraph(text)] }))
+});
+const table = {
+    type: 'table',
+    content: [{
+        type: 'tableRow',
+        content: [
+            { type: 'tableHeader', content: [paragraph('Name')] },
+            { type: 'tableCell', content: [{ type: 'paragraph' }] }
+        ]
+    }]
+};
+// The editor adds an empty paragraph after a trailing list or table, so the
+// documents here always end with a paragraph of their own
+const doc = (...content) => ({ type: 'doc', content: [...content, paragraph('End')] });
+
+let editor;
+
+const createEditor = (content) => {
+    editor = new Editor({ extensions: documentExtensions, content });
+    return editor;
+};
+
+// The document with the suggestion attributes and marks left at their defaults
+const normalize = (content) => editor.schema.nodeFromJSON(content).toJSON();
+const current = () => editor.getJSON();
+
+afterEach(() => {
+    editor?.destroy();
+    editor = null;
+});
+
+describe('node suggestions', () => {
+    test('a deleted rule is suggested and removed on accept', () => {
+        createEditor(doc(paragraph('Above'), rule, paragraph('Below')));
+
+        expect(editor.commands.suggestChanges(doc(paragraph('Above'), paragraph('Below')))).toBe(true);
+        expect(current().content[1].attrs.suggestion).toMatchObject({ kind: 'delete' });
+        const suggestions = getSuggestions(editor.state.doc);
+        expect(suggestions).toHaveLength(1);
+        expect(suggestions[0]).toMatchObject({ inserted: '', deleted: '———' });
+
+        editor.commands.acceptSuggestion(suggestions[0].id);
+        expect(current()).toEqual(normalize(doc(paragraph('Above'), paragraph('Below'))));
+    });
+
+    test('rejecting a deleted rule keeps it', () => {
+        createEditor(doc(paragraph('Above'), rule, paragraph('Below')));
+        editor.commands.suggestChanges(doc(paragraph('Above'), paragraph('Below')));
+
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Above'), rule, paragraph('Below'))));
+    });
+
+    test('rejecting an inserted rule removes it', () => {
+        createEditor(doc(paragraph('Above'), paragraph('Below')));
+
+        expect(editor.commands.suggestChanges(doc(paragraph('Above'), rule, paragraph('Below')))).toBe(true);
+        expect(getSuggestions(editor.state.doc)[0]).toMatchObject({ inserted: '———', deleted: '' });
+
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Above'), paragraph('Below'))));
+    });
+
+    test('rejecting an inserted table removes all of it', () => {
+        createEditor(doc(paragraph('Intro')));
+        editor.commands.suggestChanges(doc(paragraph('Intro'), table));
+
+        expect(getSuggestions(editor.state.doc)).toHaveLength(1);
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Intro'))));
+    });
+
+    test('accepting an inserted table keeps it without suggestions', () => {
+        createEditor(doc(paragraph('Intro')));
+        editor.commands.suggestChanges(doc(paragraph('Intro'), table));
+
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Intro'), table)));
+        expect(getSuggestions(editor.state.doc)).toEqual([]);
+    });
+
+    test('accepting a deleted table removes its empty cells too', () => {
+        createEditor(doc(paragraph('Intro'), table));
+        editor.commands.suggestChanges(doc(paragraph('Intro')));
+
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Intro'))));
+    });
+
+    test('list items can be suggested for insertion and deletion', () => {
+        createEditor(doc(list('one', 'two', 'three')));
+        editor.commands.suggestChanges(doc(list('one', 'three', 'four')));
+
+        const suggestions = getSuggestions(editor.state.doc);
+        expect(suggestions.map(({ inserted, deleted }) => ({ inserted, deleted }))).toEqual([
+            { inserted: '', deleted: 'two' },
+            { inserted: 'four', deleted: '' }
+        ]);
+
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(list('one', 'two', 'three'))));
+
+        editor.commands.suggestChanges(doc(list('one', 'three', 'four')));
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc(list('one', 'three', 'four'))));
+    });
+
+    test('an inserted empty list item is removed on reject', () => {
+        createEditor(doc(list('one')));
+        editor.commands.suggestChanges(doc({
+            type: 'bulletList',
+            content: [
+                { type: 'listItem', content: [paragraph('one')] },
+                { type: 'listItem', content: [{ type: 'paragraph' }] }
+            ]
+        }));
+
+        expect(getSuggestions(editor.state.doc)).toHaveLength(1);
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(list('one'))));
+    });
+
+    test('exports leave out suggested nodes', () => {
+        createEditor(doc(paragraph('Above'), paragraph('Below')));
+        editor.commands.suggestChanges(doc(paragraph('Above'), rule, paragraph('Below')));
+
+        expect(withoutSuggestions(editor.state.doc).toJSON()).toEqual(normalize(doc(paragraph('Above'), paragraph('Below'))));
+    });
+
+    test('nothing is suggested when the content is unchanged', () => {
+        createEditor(doc(paragraph('Same'), rule));
+
+        expect(editor.commands.suggestChanges(doc(paragraph('Same'), rule))).toBe(false);
+        expect(getSuggestions(editor.state.doc)).toEqual([]);
+    });
+});
+
+describe('text suggestions', () => {
+    const summary = () => getSuggestions(editor.state.doc).map(({ inserted, deleted }) => ({ inserted, deleted }));
+
+    test('changed words are suggested as a replacement', () => {
+        createEditor(doc(paragraph('The quick brown fox')));
+
+        expect(editor.commands.suggestChanges(doc(paragraph('The slow brown fox')))).toBe(true);
+        expect(summary()).toEqual([{ inserted: 'slow', deleted: 'quick' }]);
+
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('The slow brown fox'))));
+    });
+
+    test('separate edits in a paragraph are separate suggestions', () => {
+        createEditor(doc(paragraph('one two three')));
+        editor.commands.suggestChanges(doc(paragraph('one 2 three four')));
+
+        const suggestions = getSuggestions(editor.state.doc);
+        expect(summary()).toEqual([
+            { inserted: '2', deleted: 'two' },
+            { inserted: ' four', deleted: '' }
+        ]);
+
+        editor.commands.acceptSuggestion(suggestions[0].id);
+        editor.commands.rejectSuggestion(suggestions[1].id);
+        expect(current()).toEqual(normalize(doc(paragraph('one 2 three'))));
+    });
+
+    test('rejecting text changes restores the paragraph', () => {
+        createEditor(doc(paragraph('Keep this as it is')));
+        editor.commands.suggestChanges(doc(paragraph('Keep that')));
+
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Keep this as it is'))));
+    });
+
+    test('new formatting is suggested and applied on accept', () => {
+        createEditor(doc(paragraph('Hello world')));
+
+        expect(editor.commands.suggestChanges(doc(paragraph('Hello ', text('world', bold))))).toBe(true);
+        expect(summary()).toEqual([{ inserted: 'world', deleted: 'world' }]);
+
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Hello ', text('world', bold)))));
+    });
+
+    test('removed formatting is kept on reject', () => {
+        createEditor(doc(paragraph('Hello ', text('world', bold))));
+        editor.commands.suggestChanges(doc(paragraph('Hello world')));
+
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Hello ', text('world', bold)))));
+    });
+
+    test('changed link targets are suggested', () => {
+        const link = (href) => [{ type: 'link', attrs: { href } }];
+        createEditor(doc(paragraph('See ', text('docs', link('https://a.example')))));
+
+        expect(editor.commands.suggestChanges(doc(paragraph('See ', text('docs', link('https://b.example')))))).toBe(true);
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('See ', text('docs', link('https://b.example'))))));
+    });
+
+    test('ticking a task is suggested', () => {
+        createEditor(doc({ type: 'taskList', content: [task('a', false), task('b', false)] }));
+
+        expect(editor.commands.suggestChanges(doc({ type: 'taskList', content: [task('a', true), task('b', false)] }))).toBe(true);
+        expect(summary()).toEqual([{ inserted: 'a', deleted: 'a' }]);
+
+        editor.commands.acceptAllSuggestions();
+        expect(current()).toEqual(normalize(doc({ type: 'taskList', content: [task('a', true), task('b', false)] })));
+    });
+
+    test('a paragraph that becomes a heading is one suggestion', () => {
+        createEditor(doc(paragraph('Title')));
+        editor.commands.suggestChanges(doc({ type: 'heading', attrs: { level: 2 }, content: [text('Title')] }));
+
+        expect(summary()).toEqual([{ inserted: 'Title', deleted: 'Title' }]);
+        editor.commands.rejectAllSuggestions();
+        expect(current()).toEqual(normalize(doc(paragraph('Title'))));
+    });
+});
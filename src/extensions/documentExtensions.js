@@ -0,0 +1,114 @@
+// Extensions that define the document schema. Shared by the editor and by code
+// that works with documents outside of it, like the Markdown conversion in
+// utils/markdownUtils.js, so both always agree on the available nodes and marks.
+import { getHTMLFromFragment, getSchema } from '@tiptap/core';
+import StarterKit from '@tiptap/starter-kit';
+import Paragraph from '@tiptap/extension-paragraph';
+import Code from '@tiptap/extension-code';
+import CodeBlock from '@tiptap/extension-code-block';
+import Highlight from '@tiptap/extension-highlight';
+import { Table, TableKit } from '@tiptap/extension-table';
+import TaskList from '@tiptap/extension-task-list';
+import TaskItem from '@tiptap/extension-task-item';
+import Suggestions, { SuggestionInsertion, SuggestionDeletion } from './Suggestions';
+
+const suggestionMarks = `${SuggestionInsertion.name} ${SuggestionDeletion.name}`;
+
+// The Markdown renderers below keep what the default ones would lose, so a document
+// survives a round trip through Markdown unchanged (see utils/markdownUtils.js)
+
+// Text that reads as block syntax at the start of a line (a heading, list item,
+// rule or heading underline) is escaped so it stays part of the paragraph
+const escapeBlockStart = (markdown) => markdown.replace(
+    /^( {0,3})(#{1,6}(?=\s|$)|[-+](?=\s|$)|-+(?=\s*$)|=+(?=\s*$)|\d{1,9}(?=[.)](?:\s|$)))/gm,
+    (match, indent, marker) => (/^\d/.test(marker) ? `${indent}${marker}\\` : `${indent}\\${marker}`)
+);
+
+const MarkdownParagraph = Paragraph.extend({
+    renderMarkdown(node, h, context) {
+        if (!node.content?.length) {
+            // Blank lines collapse in Markdown, so empty paragraphs between blocks
+            // need a placeholder. Empty list items and table cells survive as they are.
+            return ['doc', 'blockquote'].includes(context?.parentType) ? '&nbsp;' : '';
+        }
+        return escapeBlockStart(this.parent(node, h, context));
+    },
+});
+
+// ==text== for the default colour, =={#ff9900}text== for the others
+const MarkdownHighlight = Highlight.extend({
+    renderMarkdown: (node, h) => {
+        const color = node.attrs?.color;
+        return `==${color ? `{${color}}` : ''}${h.renderChildren(node)}==`;
+    },
+    parseMarkdown: (token, h) => h.applyMark('highlight', h.parseInline(token.tokens || []), { color: token.color || null }),
+    markdownTokenizer: {
+        name: 'highlight',
+        level: 'inline',
+        start: (src) => src.indexOf('=='),
+        tokenize(src, tokens, h) {
+            const match = /^==(?:\{(#[0-9a-fA-F]{3,8})\})?([^=]+)==/.exec(src);
+            if (!match) return undefined;
+            return {
+                type: 'highlight',
+                raw: match[0],
+                color: match[1],
+                text: match[2],
+                tokens: h.inlineTokens(match[2]),
+            };
+        },
+    },
+});
+
+let schema = null;
+
+// Markdown tables have no merged cells, so those tables are written as HTML
+const MarkdownTable = Table.extend({
+    renderMarkdown(node, h, context) {
+        const merged = (node.content || []).some(row => (row.content || [])
+            .some(cell => (cell.attrs?.colspan || 1) > 1 || (cell.attrs?.rowspan || 1) > 1));
+        if (!merged) return this.parent(node, h, context);
+
+        schema = schema || getSchema(documentExtensions);
+        return getHTMLFromFragment(schema.nodeFromJSON({ type: 'doc', content: [node] }).content, schema);
+    },
+});
+
+export const documentExtensions = [
+    StarterKit.configure({
+        // Undo/redo is provided by the Collaboration extension
+        undoRedo: false,
+        code: false,
+        codeBlock: false,
+        paragraph: false,
+        // Typing or pasting [text](url) makes a link
+        link: {
+            markdownLinks: true,
+        },
+    }),
+    MarkdownParagraph,
+    // Code normally rules out every other mark; it still has to accept
+    // suggestion marks so changes to code can be reviewed like any other text
+    Code.extend({
+        excludes: 'bold italic strike underline link highlight code',
+    }),
+    CodeBlock.extend({
+        marks: suggestionMarks,
+    }),
+    MarkdownHighlight.configure({
+        multicolor: true,
+    }),
+    TaskList,
+    TaskItem.configure({
+        nested: true,
+    }),
+    TableKit.configure({
+        table: false,
+    }),
+    MarkdownTable.configure({
+        resizable: true,
+    }),
+    Suggestions,
+];
+
+export default documentExtensions;
@@ -1,27 +1,260 @@
 // Multi-Provider AI Service with OpenAI, Claude, and free options
+import markdownUtils from '../utils/markdownUtils';
+
+// Shape every chat reply must have. Sent to providers that support tool calling
+// and used to validate replies from all of them.
+const CHAT_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        action: {
+            type: 'string',
+            enum: ['chat', 'modify'],
+            description: "'modify' to replace the document content, 'chat' to just reply"
+        },
+        message: {
+            type: 'string',
+            description: 'Reply to the user, or a brief description of the changes made'
+        },
+        newContent: {
+            type: 'string',
+            description: "The complete new document content. Required when action is 'modify'"
+        }
+    },
+    required: ['action', 'message'],
+    additionalProperties: false
+};
+
+// Thrown when a provider answered but the reply does not match CHAT_RESPONSE_SCHEMA
+export class AIResponseError extends Error {
+    constructor(message, { details = [], rawText = '' } = {}) {
+        super(message);
+        this.name = 'AIResponseError';
+        this.details = details;
+        this.rawText = rawText;
+    }
+}
+
+// How a provider call failed. Retryable kinds are retried on the same provider
+// before moving on to the next one.
+export const ERROR_KINDS = {
+    auth: { label: 'invalid or missing API key', retryable: false },
+    rate_limit: { label: 'rate limited', retryable: true },
+    timeout: { label: 'timed out', retryable: true },
+    network: { label: 'network error', retryable: true },
+    server: { label: 'server error', retryable: true },
+    bad_response: { label: 'unusable response', retryable: false }
+};
+
+// Thrown when a provider call fails. When every provider has failed, `failures`
+// lists what went wrong with each one.
+export class AIProviderError extends Error {
+    constructor(message, { provider, kind = 'bad_response', status, retryAfter, failures = [] } = {}) {
+        super(message);
+        this.name = 'AIProviderError';
+        this.provider = provider;
+        this.kind = kind;
+        this.status = status;
+        this.retryAfter = retryAfter;
+        this.failures = failures;
+    }
+
+    get retryable() {
+        return ERROR_KINDS[this.kind].retryable;
+    }
+}
+
+const SETTINGS_KEY = 'collab-editor-ai-settings';
+
+// Provider details for the settings panel. The first model is the default, and
+// `keyVariable` is the variable that enables the provider: API keys are set on
+// the collaboration server (see server/aiProxy.js), never in the browser.
+const PROVIDER_INFO = {
+    openai: {
+        label: 'OpenAI',
+        keyVariable: 'OPENAI_API_KEY',
+        models: ['gpt-3.5-turbo', 'gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1']
+    },
+    claude: {
+        label: 'Anthropic Claude',
+        keyVariable: 'CLAUDE_API_KEY',
+        models: ['claude-3-haiku-20240307', 'claude-3-5-haiku-latest', 'claude-3-7-sonnet-latest', 'claude-sonnet-4-0']
+    },
+    groq: {
+        label: 'Groq',
+        keyVariable: 'GROQ_API_KEY',
+        models: ['mixtral-8x7b-32768', 'llama-3.1-8b-instant', 'llama-3.3-70b-versatile']
+    },
+    cohere: {
+        label: 'Cohere',
+        keyVariable: 'COHERE_API_KEY',
+        models: ['command-r-08-2024', 'command-r-plus-08-2024', 'command-a-03-2025']
+    },
+    huggingface: {
+        label: 'Hugging Face',
+        keyVariable: 'HUGGINGFACE_API_KEY',
+        models: ['meta-llama/Llama-3.1-8B-Instruct', 'Qwen/Qwen2.5-72B-Instruct', 'mistralai/Mistral-7B-Instruct-v0.3']
+    },
+    ollama: {
+        label: 'Ollama (local)',
+        keyVariable: 'REACT_APP_OLLAMA_URL',
+        models: ['llama3.2']
+    },
+    simulation: {
+        label: 'Offline simulation',
+        models: []
+    }
+};
+
+// `provider: 'auto'` uses the first configured provider; `models` maps a provider
+// to the model chosen for it
+const DEFAULT_SETTINGS = {
+    provider: 'auto',
+    models: {},
+    temperature: 0.7,
+    maxTokens: 1000,
+    // Try the other configured providers when the chosen one fails
+    failover: true
+};
+
 class AIService {
     constructor() {
-        // API Keys from environment variables
-        this.openaiKey = process.env.REACT_APP_OPENAI_API_KEY || null;
-        this.claudeKey = process.env.REACT_APP_CLAUDE_API_KEY || null;
-        this.huggingFaceKey = process.env.REACT_APP_HUGGINGFACE_API_KEY || null;
-        
+        // Hosted providers are reached through the collaboration server's AI proxy,
+        // which adds the API keys
+        const proxyUrl = `${process.env.REACT_APP_SERVER_URL || 'http://localhost:5000'}/api/ai`;
+        // Shared with the server's AI_PROXY_TOKEN. It's built into the public bundle, so
+        // it keeps other web pages off the proxy but anyone who can load the app can
+        // read it and spend the server's API keys (see README)
+        this.proxyToken = process.env.REACT_APP_AI_PROXY_TOKEN || '';
+
         // API Endpoints
         this.endpoints = {
-            openai: 'https://api.openai.com/v1/chat/completions',
-            claude: 'https://api.anthropic.com/v1/messages',
-            huggingface: 'https://api-inference.huggingface.co/models/microsoft/DialoGPT-large',
-            cohere: 'https://api.cohere.ai/v1/generate',
+            proxy: proxyUrl,
+            openai: `${proxyUrl}/openai`,
+            claude: `${proxyUrl}/claude`,
+            huggingface: `${proxyUrl}/huggingface`,
+            cohere: `${proxyUrl}/cohere`,
             // Free alternatives
-            ollama: 'http://localhost:11434/api/generate', // Local Ollama
-            groq: 'https://api.groq.com/openai/v1/chat/completions' // Groq (free tier)
+            ollama: process.env.REACT_APP_OLLAMA_URL || 'http://localhost:11434', // Local Ollama
+            groq: `${proxyUrl}/groq` // Groq (free tier)
         };
         
-        // Default provider priority (will use first available)
-        this.providers = ['openai', 'claude', 'groq', 'huggingface', 'simulation'];
+        // Default provider priority (will use first available). A reachable local
+        // Ollama server comes first so documents stay on this machine.
+        this.providers = ['ollama', 'openai', 'claude', 'groq', 'cohere', 'huggingface', 'simulation'];
         this.currentProvider = 'simulation'; // Default fallback
-        
-        this.detectAvailableProvider();
+
+        // Set by checkOllama(), since the local server can only be detected asynchronously
+        this.ollamaAvailable = false;
+        this.ollamaModels = [];
+        // Providers with an API key on the server, set by checkProxy()
+        this.proxyProviders = [];
+
+        // A request is abandoned after this long without any data
+        this.requestTimeout = 60000;
+        // Retries per provider, with exponential backoff from retryDelay
+        this.maxRetries = 2;
+        this.retryDelay = 1000;
+        this.maxRetryDelay = 10000;
+
+        // Rough token allowance for earlier chat turns sent with each request
+        this.historyTokenBudget = 2000;
+        this.summaryTokenBudget = 400;
+
+        this.settings = this.loadSettings();
+        this.applySettings();
+        this.checkProxy();
+
+        // Only probe the local server when it has been set up or chosen
+        if (process.env.REACT_APP_OLLAMA_URL || this.settings.provider === 'ollama') {
+            this.checkOllama();
+        }
+    }
+
+    loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            return { ...DEFAULT_SETTINGS, ...saved };
+        } catch (error) {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    getSettings() {
+        return this.settings;
+    }
+
+    // Merge and persist settings changes, switching provider if needed
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving AI settings:', error);
+        }
+        this.applySettings();
+        return this.settings;
+    }
+
+    // Use the chosen provider if it is configured, otherwise the first available one
+    applySettings() {
+        const { provider } = this.settings;
+        if (provider !== 'auto' && this.isProviderAvailable(provider)) {
+            this.currentProvider = provider;
+            console.log(`Using AI provider: ${provider}`);
+        } else {
+            this.detectAvailableProvider();
+        }
+    }
+
+    getProviders() {
+        return this.providers.map(id => ({
+            id,
+            ...PROVIDER_INFO[id],
+            models: this.getModels(id),
+            configured: !!this.isProviderAvailable(id)
+        }));
+    }
+
+    // Ollama offers whatever models have been pulled on the local server
+    getModels(provider) {
+        if (provider === 'ollama' && this.ollamaModels.length > 0) {
+            return this.ollamaModels;
+        }
+        return PROVIDER_INFO[provider]?.models || [];
+    }
+
+    getCurrentProvider() {
+        return this.currentProvider;
+    }
+
+    getProviderLabel(provider) {
+        return PROVIDER_INFO[provider]?.label || provider;
+    }
+
+    // Headers for requests to the AI proxy
+    getProxyHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'X-AI-Proxy-Token': this.proxyToken
+        };
+    }
+
+    // "Claude: rate limited" for a provider that failed before another one answered
+    describeFailure(failure) {
+        return `${this.getProviderLabel(failure.provider)}: ${ERROR_KINDS[failure.kind]?.label || failure.kind}`;
+    }
+
+    getModel(provider) {
+        return this.settings.models[provider] || this.getModels(provider)[0];
+    }
+
+    // Model and sampling settings passed to each call* method
+    getRequestSettings(provider) {
+        return {
+            model: this.getModel(provider),
+            temperature: this.settings.temperature,
+            maxTokens: this.settings.maxTokens
+        };
     }
     
     detectAvailableProvider() {
@@ -34,16 +267,63 @@ class AIService {
         }
     }
     
+    // Names of the models pulled on the local Ollama server
+    async listOllamaModels() {
+        const response = await fetch(`${this.endpoints.ollama}/api/tags`, {
+            signal: AbortSignal.timeout(3000)
+        });
+        await this.checkResponse(response, 'Ollama');
+
+        const data = await response.json();
+        return (data.models || []).map(model => model.name);
+    }
+
+    // Health check for the local Ollama server. Updates its availability and model
+    // list, then re-applies the settings so a chosen Ollama provider takes effect.
+    async checkOllama() {
+        try {
+            this.ollamaModels = await this.listOllamaModels();
+            this.ollamaAvailable = true;
+        } catch (error) {
+            console.warn(`Ollama is not reachable at ${this.endpoints.ollama}:`, error.message);
+            this.ollamaModels = [];
+            this.ollamaAvailable = false;
+        }
+        this.applySettings();
+        return this.ollamaAvailable;
+    }
+
+    // Ask the AI proxy which providers have an API key configured
+    async checkProxy() {
+        try {
+            const response = await fetch(`${this.endpoints.proxy}/providers`, {
+                headers: this.getProxyHeaders()
+            });
+            await this.checkResponse(response, 'AI proxy');
+            this.proxyProviders = (await response.json()).providers;
+        } catch (error) {
+            console.warn(`AI proxy is not reachable at ${this.endpoints.proxy}:`, error.message);
+            this.proxyProviders = [];
+        }
+        this.applySettings();
+        return this.proxyProviders;
+    }
+
+    // Re-check the proxy and the local Ollama server, e.g. when opening the settings
+    async refreshProviders() {
+        await Promise.all([this.checkProxy(), this.checkOllama()]);
+    }
+
     isProviderAvailable(provider) {
         switch (provider) {
             case 'openai':
-                return !!this.openaiKey;
             case 'claude':
-                return !!this.claudeKey;
             case 'huggingface':
-                return !!this.huggingFaceKey;
+            case 'cohere':
             case 'groq':
-                return process.env.REACT_APP_GROQ_API_KEY;
+                return this.proxyProviders.includes(provider);
+            case 'ollama':
+                return this.ollamaAvailable;
             case 'simulation':
                 return true; // Always available
             default:
@@ -51,192 +331,777 @@ class AIService {
         }
     }
 
-    async getChatResponse(message, documentContent = '') {
-        try {
-            return await this.callAI(message, documentContent, 'chat');
-        } catch (error) {
-            console.error('AI API Error:', error);
-            return this.simulateAIResponse(message, documentContent);
+    // `documentContent` is the editor's Tiptap JSON (or plain text). The model sees it
+    // as Markdown, and document changes come back with `newDocument`, the parsed
+    // Tiptap JSON of the Markdown in `newContent`.
+    // Pass `onToken` to receive the raw response text as it streams in, and
+    // `signal` (an AbortSignal) to stop the request early
+    // The response also says which `provider` answered, and lists the `failures` of
+    // any providers tried before it
+    async getChatResponse(message, documentContent = '', options = {}) {
+        const markdown = this.toMarkdown(documentContent);
+        const { result: response, provider, failures } = await this.callAI(message, markdown, 'chat', options);
+
+        response.provider = provider;
+        response.failures = failures;
+        if (response.action === 'modify') {
+            response.newDocument = markdownUtils.fromMarkdown(response.newContent);
         }
+        return response;
+    }
+
+    toMarkdown(documentContent) {
+        if (!documentContent) return '';
+        return typeof documentContent === 'string' ? documentContent : markdownUtils.toMarkdown(documentContent);
     }
     
-    async callAI(message, documentContent = '', type = 'chat') {
-        const provider = this.currentProvider;
-        
-        if (provider === 'simulation') {
-            return type === 'chat' 
-                ? this.simulateAIResponse(message, documentContent)
-                : this.getTextEdit(message, documentContent);
+    // Resolves to { result, provider, failures }: the parsed reply (or edited text),
+    // the provider that gave it, and why any providers before it failed
+    async callAI(message, documentContent = '', type = 'chat', options = {}) {
+        if (this.currentProvider === 'simulation') {
+            if (type !== 'chat') {
+                throw new Error('No AI provider configured for text edits');
+            }
+            const response = await this.simulateAIResponse(message, documentContent);
+            await this.simulateStream(response.message, options);
+            return { result: response, provider: 'simulation', failures: [] };
         }
-        
-        const prompt = this.buildPrompt(message, documentContent, type);
-        
+
+        const prompt = this.buildPrompt(message, documentContent, type, options.history);
+        const failures = [];
+        let lastError;
+
+        for (const provider of this.getFallbackOrder()) {
+            try {
+                const text = await this.callWithRetries(provider, prompt, options);
+                // Text edits return the edited text as-is
+                const result = type === 'chat' ? this.parseResponse(text) : text;
+                return { result, provider, failures };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+
+                const failure = this.classifyError(error, provider);
+                console.warn(`AI provider ${provider} failed (${failure.kind}):`, failure.message);
+                failures.push({ provider, kind: failure.kind, message: failure.message });
+                lastError = error;
+            }
+        }
+
+        // Keep the validation details when the model's own reply was the problem
+        if (lastError instanceof AIResponseError) {
+            lastError.failures = failures;
+            throw lastError;
+        }
+        throw new AIProviderError('No AI provider could answer', {
+            kind: failures[failures.length - 1].kind,
+            failures
+        });
+    }
+
+    // The current provider first, then (with failover on) every other configured one
+    getFallbackOrder() {
+        if (!this.settings.failover) return [this.currentProvider];
+
+        const others = this.providers.filter(provider => provider !== this.currentProvider &&
+            provider !== 'simulation' && this.isProviderAvailable(provider));
+        return [this.currentProvider, ...others];
+    }
+
+    // Call one provider, retrying transient failures with exponential backoff
+    // (or the delay the provider asked for)
+    async callWithRetries(provider, prompt, options = {}) {
+        for (let attempt = 0; ; attempt++) {
+            const request = this.withTimeout(options);
+            try {
+                return await this.callProvider(provider, prompt, {
+                    ...request.options,
+                    ...this.getRequestSettings(provider)
+                });
+            } catch (error) {
+                // Only the user stops a request; our own timeout is a failure like any other
+                if (error.name === 'AbortError' && !request.timedOut()) throw error;
+
+                const failure = this.classifyError(error, provider, request.timedOut());
+                if (!failure.retryable || attempt >= this.maxRetries) throw failure;
+
+                const delay = failure.retryAfter ? failure.retryAfter * 1000 : this.retryDelay * 2 ** attempt;
+                console.warn(`AI provider ${provider} failed (${failure.kind}), retrying:`, failure.message);
+                await this.wait(Math.min(delay, this.maxRetryDelay), options.signal);
+            } finally {
+                request.clear();
+            }
+        }
+    }
+
+    // Abort a request that receives nothing for requestTimeout ms. Streamed tokens
+    // reset the timer, so long replies aren't cut off while data is still arriving.
+    withTimeout(options = {}) {
+        const controller = new AbortController();
+        const { signal, onToken } = options;
+        let timedOut = false;
+        let timer;
+
+        const restart = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.requestTimeout);
+        };
+        const abort = () => controller.abort();
+
+        if (signal?.aborted) controller.abort();
+        signal?.addEventListener('abort', abort);
+        restart();
+
+        return {
+            options: {
+                ...options,
+                signal: controller.signal,
+                onToken: onToken && ((token, text) => {
+                    restart();
+                    onToken(token, text);
+                })
+            },
+            timedOut: () => timedOut,
+            clear: () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', abort);
+            }
+        };
+    }
+
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Turn any error from a provider call into an AIProviderError with a kind
+    classifyError(error, provider, timedOut = false) {
+        if (error instanceof AIProviderError) {
+            error.provider = error.provider || provider;
+            return error;
+        }
+
+        let kind = 'bad_response';
+        if (timedOut) {
+            kind = 'timeout';
+        } else if (error instanceof TypeError) {
+            // fetch rejects with a TypeError when the server can't be reached
+            kind = 'network';
+        }
+        const message = timedOut ? `No data received for ${this.requestTimeout / 1000}s` : error.message;
+        return new AIProviderError(message, { provider, kind });
+    }
+
+    getStatusKind(status) {
+        if (status === 401 || status === 403) return 'auth';
+        if (status === 429) return 'rate_limit';
+        if (status === 408 || status === 504) return 'timeout';
+        if (status >= 500) return 'server';
+        return 'bad_response';
+    }
+
+    // Each call* method resolves to the raw response text
+    async callProvider(provider, prompt, options = {}) {
         switch (provider) {
             case 'openai':
-                return await this.callOpenAI(prompt);
+                return await this.callOpenAI(prompt, options);
             case 'claude':
-                return await this.callClaude(prompt);
+                return await this.callClaude(prompt, options);
             case 'groq':
-                return await this.callGroq(prompt);
+                return await this.callGroq(prompt, options);
+            case 'cohere':
+                return await this.callCohere(prompt, options);
             case 'huggingface':
-                return await this.callHuggingFace(prompt);
+                return await this.callHuggingFace(prompt, options);
+            case 'ollama':
+                return await this.callOllama(prompt, options);
             default:
                 throw new Error(`Unknown provider: ${provider}`);
         }
     }
+
+    // Read a server-sent events response, calling onEvent with each parsed `data:` payload
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.trim();
+                if (!data.startsWith('data:')) continue;
+
+                const payload = data.slice(5).trim();
+                if (payload === '[DONE]') return;
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (e) {
+                    console.warn('Skipping malformed stream event:', payload);
+                    continue;
+                }
+                onEvent(event);
+            }
+        }
+    }
+
+    // Collect an OpenAI-compatible chat completion stream into the full text
+    async readOpenAIStream(response, onToken) {
+        let text = '';
+        await this.readEventStream(response, (event) => {
+            const token = event.choices?.[0]?.delta?.content;
+            if (token) {
+                text += token;
+                onToken(token, text);
+            }
+        });
+        return text;
+    }
+
+    // Collect an Anthropic messages stream into the full text. Tool input arrives
+    // as JSON fragments and is collected the same way as plain text.
+    async readClaudeStream(response, onToken) {
+        let text = '';
+        await this.readEventStream(response, (event) => {
+            const token = event.delta?.text ?? event.delta?.partial_json;
+            if (event.type === 'content_block_delta' && token) {
+                text += token;
+                onToken(token, text);
+            } else if (event.type === 'error') {
+                throw new Error(event.error?.message || 'Claude stream error');
+            }
+        });
+        return text;
+    }
+
+    // Collect a Cohere v2 chat stream into the full text
+    async readCohereStream(response, onToken) {
+        let text = '';
+        await this.readEventStream(response, (event) => {
+            const token = event.delta?.message?.content?.text;
+            if (event.type === 'content-delta' && token) {
+                text += token;
+                onToken(token, text);
+            }
+        });
+        return text;
+    }
+
+    // Collect an Ollama stream of newline-delimited JSON objects into the full text
+    async readOllamaStream(response, onToken) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+
+            const event = JSON.parse(line);
+            if (event.error) {
+                throw new Error(`Ollama stream error: ${event.error}`);
+            }
+            const token = event.message?.content;
+            if (token) {
+                text += token;
+                onToken(token, text);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer);
+
+        return text;
+    }
+
+    async checkResponse(response, provider) {
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new AIProviderError(`${provider} request failed (${response.status}): ${body}`, {
+                kind: this.getStatusKind(response.status),
+                status: response.status,
+                // Seconds to wait, sent with rate limit responses
+                retryAfter: Number(response.headers?.get('retry-after')) || undefined
+            });
+        }
+    }
+
+    // Find the JSON object in a reply, allowing for code fences and prose around it.
+    // Returns undefined when the text contains no parseable object.
+    extractJSON(text) {
+        const candidates = [text.trim()];
+
+        const fence = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+        if (fence) {
+            candidates.push(fence[1].trim());
+        }
+
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            candidates.push(text.slice(start, end + 1));
+        }
+
+        for (const candidate of candidates) {
+            try {
+                const value = JSON.parse(candidate);
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    return value;
+                }
+            } catch (e) {
+                // Try the next candidate
+            }
+        }
+        return undefined;
+    }
+
+    // Check a parsed reply against CHAT_RESPONSE_SCHEMA, returning a list of problems
+    validateChatResponse(value) {
+        const { properties, required } = CHAT_RESPONSE_SCHEMA;
+        const errors = [];
+
+        for (const key of required) {
+            if (value[key] === undefined) errors.push(`missing "${key}"`);
+        }
+        for (const [key, fieldValue] of Object.entries(value)) {
+            const field = properties[key];
+            // Models often send "newContent": null with a chat reply; that just means no change
+            if (key === 'newContent' && fieldValue === null && value.action === 'chat') continue;
+            if (!field) {
+                errors.push(`unexpected field "${key}"`);
+            } else if (typeof fieldValue !== field.type) {
+                errors.push(`"${key}" must be a ${field.type}`);
+            } else if (field.enum && !field.enum.includes(fieldValue)) {
+                errors.push(`"${key}" must be one of ${field.enum.join(', ')}`);
+            }
+        }
+        if (value.action === 'modify' && !(typeof value.newContent === 'string' && value.newContent.trim())) {
+            errors.push('"newContent" is required when action is "modify"');
+        }
+
+        return errors;
+    }
+
+    // Turn a raw chat reply into a validated { action, message, newContent? } object.
+    // Plain prose is accepted as a chat reply; anything that looks like an attempted
+    // document change but can't be read or validated throws an AIResponseError.
+    parseResponse(text) {
+        const value = this.extractJSON(text);
+
+        if (value === undefined) {
+            if (/"(action|newContent)"\s*:/.test(text)) {
+                throw new AIResponseError('The AI reply looked like a document change but was not valid JSON.', {
+                    details: ['could not parse JSON'],
+                    rawText: text
+                });
+            }
+            return { action: 'chat', message: text.trim() };
+        }
+
+        const errors = this.validateChatResponse(value);
+        if (errors.length > 0) {
+            throw new AIResponseError('The AI reply did not match the expected format.', {
+                details: errors,
+                rawText: text
+            });
+        }
+
+        const response = { action: value.action, message: value.message };
+        if (value.action === 'modify') {
+            response.newContent = value.newContent;
+        }
+        return response;
+    }
+
+    // Best-effort readable text from a partially streamed reply. JSON replies show
+    // their `message` field as it arrives instead of raw JSON.
+    extractPartialMessage(text) {
+        const trimmed = text.trimStart();
+        if (!trimmed.startsWith('{') && !trimmed.startsWith('```')) return text;
+
+        const match = trimmed.match(/"message"\s*:\s*"((?:[^"\\]|\\.)*)/);
+        if (!match) return '';
+
+        try {
+            return JSON.parse(`"${match[1].replace(/\\$/, '')}"`);
+        } catch (e) {
+            return match[1];
+        }
+    }
+
+    // Emit already-available text in small chunks so simulated and non-streaming
+    // providers behave like streaming ones
+    async simulateStream(text, { onToken, signal } = {}) {
+        if (!onToken || !text) return;
+
+        const chunks = text.match(/\S+\s*|\s+/g) || [];
+        let streamed = '';
+
+        for (const chunk of chunks) {
+            if (signal?.aborted) {
+                throw new DOMException('The operation was aborted.', 'AbortError');
+            }
+            streamed += chunk;
+            onToken(chunk, streamed);
+            await new Promise(resolve => setTimeout(resolve, 30));
+        }
+    }
     
-    buildPrompt(message, documentContent, type) {
+    // About four characters per token for English text; close enough for budgeting
+    estimateTokens(text) {
+        return Math.ceil(text.length / 4);
+    }
+
+    // Turn ChatSidebar messages into user/assistant turns for the provider. The most
+    // recent turns are kept up to historyTokenBudget; older ones are condensed into
+    // a short summary for the system prompt instead of being dropped silently.
+    buildConversation(history = []) {
+        const turns = history
+            .filter(item => item.content && !item.error)
+            .map(item => ({
+                role: item.type === 'user' ? 'user' : 'assistant',
+                content: item.action === 'modify'
+                    ? `${item.content}\n\n(Suggested changes to the document.)`
+                    : item.content
+            }));
+
+        let used = 0;
+        let start = turns.length;
+        while (start > 0) {
+            const tokens = this.estimateTokens(turns[start - 1].content);
+            if (used + tokens > this.historyTokenBudget) break;
+            used += tokens;
+            start--;
+        }
+        // Providers expect the conversation to open with a user turn
+        while (start < turns.length && turns[start].role !== 'user') {
+            start++;
+        }
+
+        const summaryLines = [];
+        let summaryTokens = 0;
+        for (let i = start - 1; i >= 0; i--) {
+            const text = turns[i].content.replace(/\s+/g, ' ');
+            const line = `${turns[i].role === 'user' ? 'User' : 'Assistant'}: ${text.length > 200 ? `${text.slice(0, 200)}…` : text}`;
+            summaryTokens += this.estimateTokens(line);
+            if (summaryTokens > this.summaryTokenBudget) {
+                summaryLines.unshift('…');
+                break;
+            }
+            summaryLines.unshift(line);
+        }
+
+        return {
+            messages: turns.slice(start),
+            summary: summaryLines.join('\n')
+        };
+    }
+
+    // Join consecutive turns from the same role, which some providers reject
+    mergeTurns(messages) {
+        return messages.reduce((merged, message) => {
+            const last = merged[merged.length - 1];
+            if (last && last.role === message.role) {
+                last.content += `\n\n${message.content}`;
+            } else {
+                merged.push({ ...message });
+            }
+            return merged;
+        }, []);
+    }
+
+    // `history` is the earlier messages of the current chat thread
+    buildPrompt(message, documentContent, type, history = []) {
+        const conversation = type === 'chat' ? this.buildConversation(history) : { messages: [], summary: '' };
         const systemPrompt = type === 'chat'
             ? `You are an AI assistant integrated into a collaborative text editor. You can either:
 1. Provide helpful chat responses to user questions
 2. Directly modify the document content when asked
 
-When the user asks you to modify the document (fix grammar, improve text, add content, etc.), respond with a JSON object containing:
-- action: 'modify'
-- message: 'Brief description of what you did'
-- newContent: 'The improved/modified document content'
+Always respond with a single JSON object and nothing else.
+
+When the user asks you to modify the document (fix grammar, improve text, add content, etc.), use:
+{"action": "modify", "message": "Brief description of what you did", "newContent": "The complete modified document as Markdown"}
+
+For regular chat, use:
+{"action": "chat", "message": "Your response"}
 
-For regular chat, respond with:
-- action: 'chat'
-- message: 'Your response'
+The document is written in Markdown. Keep its existing structure (headings, lists, task lists written as "- [ ]", code blocks, **bold**, *italic*, ==highlights==) unless asked to change it, and use the same syntax for any structure you add.
 
-Current document content: ${documentContent}`
-            : `You are a text editing AI. Edit the provided text according to the user's request. Return only the edited text.`;
+Current document content:
+${documentContent}${conversation.summary ? `
+
+Summary of the earlier conversation:
+${conversation.summary}` : ''}`
+            : `You are a text editing AI. Edit the provided text according to the user's request. Return only the edited text, without quotes, explanations or any introduction.`;
         
         return {
             system: systemPrompt,
-            user: message,
-            context: documentContent
+            messages: this.mergeTurns([
+                ...conversation.messages,
+                { role: 'user', content: type === 'chat' ? message : `${message}\n\nText:\n${documentContent}` }
+            ]),
+            context: documentContent,
+            // Chat replies must follow CHAT_RESPONSE_SCHEMA
+            structured: type === 'chat'
         };
     }
     
-    async callOpenAI(prompt) {
+    async callOpenAI(prompt, { onToken, signal, model, temperature, maxTokens } = {}) {
         const response = await fetch(this.endpoints.openai, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.openaiKey}`
-            },
+            headers: this.getProxyHeaders(),
             body: JSON.stringify({
-                model: 'gpt-3.5-turbo',
+                model,
                 messages: [
                     { role: 'system', content: prompt.system },
-                    { role: 'user', content: prompt.user }
+                    ...prompt.messages
                 ],
-                max_tokens: 1000,
-                temperature: 0.7
-            })
+                max_tokens: maxTokens,
+                temperature,
+                stream: !!onToken,
+                ...(prompt.structured && { response_format: { type: 'json_object' } })
+            }),
+            signal
         });
         
+        await this.checkResponse(response, 'OpenAI');
+
+        if (onToken) {
+            return this.readOpenAIStream(response, onToken);
+        }
+
         const data = await response.json();
         
         if (data.choices && data.choices[0]) {
-            try {
-                return JSON.parse(data.choices[0].message.content);
-            } catch (e) {
-                return {
-                    action: 'chat',
-                    message: data.choices[0].message.content
-                };
-            }
+            return data.choices[0].message.content;
         }
         
         throw new Error('No response from OpenAI');
     }
     
-    async callClaude(prompt) {
+    async callClaude(prompt, { onToken, signal, model, temperature, maxTokens } = {}) {
         const response = await fetch(this.endpoints.claude, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.claudeKey,
-                'anthropic-version': '2023-06-01'
-            },
+            headers: this.getProxyHeaders(),
             body: JSON.stringify({
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 1000,
-                messages: [
-                    { role: 'user', content: `${prompt.system}\n\nUser: ${prompt.user}` }
-                ]
-            })
+                model,
+                max_tokens: maxTokens,
+                // Anthropic caps temperature at 1
+                temperature: Math.min(temperature, 1),
+                system: prompt.system,
+                messages: prompt.messages,
+                stream: !!onToken,
+                // Forcing a tool call makes Claude return the reply as schema-shaped input
+                ...(prompt.structured && {
+                    tools: [{
+                        name: 'respond',
+                        description: 'Reply to the user and optionally replace the document content',
+                        input_schema: CHAT_RESPONSE_SCHEMA
+                    }],
+                    tool_choice: { type: 'tool', name: 'respond' }
+                })
+            }),
+            signal
         });
         
+        await this.checkResponse(response, 'Claude');
+
+        if (onToken) {
+            return this.readClaudeStream(response, onToken);
+        }
+
         const data = await response.json();
+
+        const toolUse = data.content?.find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return JSON.stringify(toolUse.input);
+        }
         
         if (data.content && data.content[0]) {
-            try {
-                return JSON.parse(data.content[0].text);
-            } catch (e) {
-                return {
-                    action: 'chat',
-                    message: data.content[0].text
-                };
-            }
+            return data.content[0].text;
         }
         
         throw new Error('No response from Claude');
     }
     
-    async callGroq(prompt) {
+    async callGroq(prompt, { onToken, signal, model, temperature, maxTokens } = {}) {
         const response = await fetch(this.endpoints.groq, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.REACT_APP_GROQ_API_KEY}`
-            },
+            headers: this.getProxyHeaders(),
             body: JSON.stringify({
-                model: 'mixtral-8x7b-32768',
+                model,
                 messages: [
                     { role: 'system', content: prompt.system },
-                    { role: 'user', content: prompt.user }
+                    ...prompt.messages
                 ],
-                max_tokens: 1000,
-                temperature: 0.7
-            })
+                max_tokens: maxTokens,
+                temperature,
+                stream: !!onToken,
+                // Groq's JSON mode is not available for streamed responses
+                ...(prompt.structured && !onToken && { response_format: { type: 'json_object' } })
+            }),
+            signal
         });
         
+        await this.checkResponse(response, 'Groq');
+
+        if (onToken) {
+            return this.readOpenAIStream(response, onToken);
+        }
+
         const data = await response.json();
         
         if (data.choices && data.choices[0]) {
-            try {
-                return JSON.parse(data.choices[0].message.content);
-            } catch (e) {
-                return {
-                    action: 'chat',
-                    message: data.choices[0].message.content
-                };
-            }
+            return data.choices[0].message.content;
         }
         
         throw new Error('No response from Groq');
     }
     
-    async callHuggingFace(prompt) {
-        const response = await fetch(this.endpoints.huggingface, {
+    // Runs against the local server, so nothing leaves the machine
+    async callOllama(prompt, { onToken, signal, model, temperature, maxTokens } = {}) {
+        const response = await fetch(`${this.endpoints.ollama}/api/chat`, {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${this.huggingFaceKey}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                inputs: `${prompt.system}\n\nUser: ${prompt.user}`,
-                parameters: {
-                    max_length: 500,
-                    temperature: 0.7,
-                    do_sample: true
+                model,
+                messages: [
+                    { role: 'system', content: prompt.system },
+                    ...prompt.messages
+                ],
+                stream: !!onToken,
+                // Ollama constrains the output to a JSON schema passed as `format`
+                ...(prompt.structured && { format: CHAT_RESPONSE_SCHEMA }),
+                options: {
+                    temperature,
+                    num_predict: maxTokens
                 }
-            })
+            }),
+            signal
         });
-        
+
+        await this.checkResponse(response, 'Ollama');
+
+        if (onToken) {
+            return this.readOllamaStream(response, onToken);
+        }
+
         const data = await response.json();
-        
-        if (data && data[0] && data[0].generated_text) {
-            return {
-                action: 'chat',
-                message: data[0].generated_text
-            };
+
+        if (data.message && data.message.content) {
+            return data.message.content;
         }
-        
+
+        throw new Error('No response from Ollama');
+    }
+
+    async callCohere(prompt, { onToken, signal, model, temperature, maxTokens } = {}) {
+        const response = await fetch(this.endpoints.cohere, {
+            method: 'POST',
+            headers: this.getProxyHeaders(),
+            body: JSON.stringify({
+                model,
+                messages: [
+                    { role: 'system', content: prompt.system },
+                    ...prompt.messages
+                ],
+                max_tokens: maxTokens,
+                // Cohere caps temperature at 1
+                temperature: Math.min(temperature, 1),
+                stream: !!onToken,
+                ...(prompt.structured && {
+                    response_format: { type: 'json_object', json_schema: CHAT_RESPONSE_SCHEMA }
+                })
+            }),
+            signal
+        });
+
+        await this.checkResponse(response, 'Cohere');
+
+        if (onToken) {
+            return this.readCohereStream(response, onToken);
+        }
+
+        const data = await response.json();
+
+        const text = data.message?.content?.find(block => block.type === 'text')?.text;
+        if (text) {
+            return text;
+        }
+
+        throw new Error('No response from Cohere');
+    }
+
+    // Hugging Face's router serves its chat models behind an OpenAI-compatible API
+    async callHuggingFace(prompt, { onToken, signal, model, temperature, maxTokens } = {}) {
+        const response = await fetch(this.endpoints.huggingface, {
+            method: 'POST',
+            headers: this.getProxyHeaders(),
+            body: JSON.stringify({
+                model,
+                messages: [
+                    { role: 'system', content: prompt.system },
+                    ...prompt.messages
+                ],
+                max_tokens: maxTokens,
+                temperature,
+                stream: !!onToken,
+                ...(prompt.structured && {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: 'chat_response', schema: CHAT_RESPONSE_SCHEMA }
+                    }
+                })
+            }),
+            signal
+        });
+
+        await this.checkResponse(response, 'Hugging Face');
+
+        if (onToken) {
+            return this.readOpenAIStream(response, onToken);
+        }
+
+        const data = await response.json();
+
+        if (data.choices && data.choices[0]) {
+            return data.choices[0].message.content;
+        }
+
         throw new Error('No response from Hugging Face');
     }
 
@@ -247,7 +1112,11 @@ Current document content: ${documentContent}`
                 
                 // Grammar and style improvements
                 if (lowerMessage.includes('fix grammar') || lowerMessage.includes('correct') || lowerMessage.includes('improve')) {
-                    const improvedContent = this.improveText(currentDocument);
+                    // Line by line, so Markdown structure and list indentation survive
+                    const improvedContent = currentDocument
+                        .split('\n')
+                        .map(line => line.replace(/^(\s*)(.*)$/, (match, indent, rest) => indent + this.improveText(rest)))
+                        .join('\n');
                     resolve({
                         action: 'modify',
                         message: "I've improved the grammar and style of your document!",
@@ -362,12 +1231,12 @@ Current document content: ${documentContent}`
         // Ensure proper paragraph breaks
         formatted = formatted.replace(/\n{3,}/g, '\n\n');
         
-        // Format lists if present
-        formatted = formatted.replace(/^(-|\*)\s*(.+)$/gm, '• $2');
+        // Normalize list bullets to Markdown dashes
+        formatted = formatted.replace(/^(\s*)(•|\*)\s*(.+)$/gm, '$1- $3');
         
         // Add title formatting if it looks like a title
         const lines = formatted.split('\n');
-        if (lines.length > 0 && lines[0].length < 60 && !lines[0].includes('.')) {
+        if (lines.length > 0 && lines[0].length < 60 && !lines[0].includes('.') && !lines[0].startsWith('#')) {
             lines[0] = '# ' + lines[0];
             formatted = lines.join('\n');
         }
@@ -376,62 +1245,156 @@ Current document content: ${documentContent}`
     }
 
     // Advanced text editing functions for floating toolbar
-    async getTextEdit(editType, selectedText, customPrompt = '') {
-        return new Promise((resolve) => {
+    getEditInstruction(editType, customPrompt = '') {
+        const instructions = {
+            shorten: 'Make the text more concise while preserving its key meaning.',
+            lengthen: 'Expand the text with additional relevant detail and elaboration, keeping the same tone.',
+            improve: 'Improve the clarity, flow and word choice of the text, and fix any grammar or spelling mistakes.',
+            formal: 'Rewrite the text in a more formal, professional tone.',
+            casual: 'Rewrite the text in a more casual, friendly tone.',
+            table: 'Convert the text into a Markdown table with a header row and sensible column headings. Return only the table.',
+            list: 'Convert the text into a Markdown bullet list with one point per line, each starting with "- ". Indent sub-points by two spaces. Return only the list.',
+            checklist: 'Convert the text into a Markdown task list with one actionable task per line, each starting with "- [ ] ". Indent sub-tasks by two spaces. Return only the list.',
+            steps: 'Convert the text into a Markdown numbered list of sequential steps, one step per line, starting with "1. ". Indent sub-steps by three spaces. Return only the list.',
+            summarize: 'Summarize the text in a few sentences, keeping the most important points.',
+            custom: customPrompt
+        };
+        return instructions[editType] || instructions.improve;
+    }
+
+    // Table and list edits come back as Markdown; everything else is plain text
+    getEditFormat(editType) {
+        return ['table', 'list', 'checklist', 'steps'].includes(editType) ? 'markdown' : 'text';
+    }
+
+    // Models sometimes wrap the answer in a code fence or quotes despite the prompt
+    cleanEditOutput(text) {
+        let cleaned = text.trim();
+
+        const fence = cleaned.match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+        if (fence) {
+            cleaned = fence[1].trim();
+        }
+
+        if (/^"[\s\S]*"$/.test(cleaned) && !cleaned.slice(1, -1).includes('"')) {
+            cleaned = cleaned.slice(1, -1);
+        }
+
+        // "•" bullets aren't Markdown; keep their indentation so nesting survives
+        cleaned = cleaned.replace(/^(\s*)•\s*/gm, '$1- ');
+
+        return cleaned;
+    }
+
+    // Uses the active provider; the regex-based simulation is only used when no
+    // provider is configured or every provider fails
+    async getTextEdit(editType, selectedText, customPrompt = '', options = {}) {
+        let failures = [];
+        let fallbackReason = 'No AI provider is available';
+
+        if (this.currentProvider !== 'simulation') {
+            try {
+                const instruction = this.getEditInstruction(editType, customPrompt);
+                const { result: text, provider, failures: skipped } = await this.callAI(instruction, selectedText, 'edit', options);
+
+                return {
+                    originalText: selectedText,
+                    editedText: this.cleanEditOutput(text),
+                    message: this.getEditMessage(editType, customPrompt),
+                    editType: editType,
+                    format: this.getEditFormat(editType),
+                    provider: provider,
+                    failures: skipped,
+                    simulated: false
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.error('AI edit failed with every provider, using offline simulation:', error);
+                failures = error.failures || [];
+                fallbackReason = failures.length ? 'Every AI provider failed' : `The AI request failed: ${error.message}`;
+            }
+        }
+
+        // `fallbackReason` says why the simulation was used, for showing alongside the result
+        const result = await this.simulateTextEdit(editType, selectedText, customPrompt, options);
+        return { ...result, failures, fallbackReason };
+    }
+
+    getEditMessage(editType, customPrompt = '') {
+        const messages = {
+            shorten: 'Text shortened while preserving key meaning',
+            lengthen: 'Text expanded with additional detail',
+            improve: 'Writing quality improved',
+            formal: 'Text made more formal',
+            casual: 'Text made more casual',
+            table: 'Converted to table format',
+            list: 'Converted to list format',
+            checklist: 'Converted to checklist',
+            steps: 'Converted to numbered steps',
+            summarize: 'Text summarized',
+            custom: `Custom edit applied: ${customPrompt}`
+        };
+        return messages[editType] || 'Text improved';
+    }
+
+    // Offline fallback built from simple text transformations
+    async simulateTextEdit(editType, selectedText, customPrompt = '', options = {}) {
+        const result = await new Promise((resolve) => {
             setTimeout(() => {
                 let editedText = '';
-                let message = '';
 
                 switch (editType) {
                     case 'shorten':
                         editedText = this.shortenText(selectedText);
-                        message = 'Text shortened while preserving key meaning';
                         break;
                     case 'lengthen':
                         editedText = this.lengthenText(selectedText);
-                        message = 'Text expanded with additional detail';
                         break;
                     case 'improve':
                         editedText = this.improveWriting(selectedText);
-                        message = 'Writing quality improved';
                         break;
                     case 'formal':
                         editedText = this.makeFormal(selectedText);
-                        message = 'Text made more formal';
                         break;
                     case 'casual':
                         editedText = this.makeCasual(selectedText);
-                        message = 'Text made more casual';
                         break;
                     case 'table':
                         editedText = this.convertToTable(selectedText);
-                        message = 'Converted to table format';
                         break;
                     case 'list':
                         editedText = this.convertToList(selectedText);
-                        message = 'Converted to list format';
+                        break;
+                    case 'checklist':
+                        editedText = this.convertToList(selectedText, '- [ ] ');
+                        break;
+                    case 'steps':
+                        editedText = this.convertToList(selectedText, (i) => `${i + 1}. `);
                         break;
                     case 'summarize':
                         editedText = this.summarizeText(selectedText);
-                        message = 'Text summarized';
                         break;
                     case 'custom':
                         editedText = this.customEdit(selectedText, customPrompt);
-                        message = `Custom edit applied: ${customPrompt}`;
                         break;
                     default:
                         editedText = this.improveText(selectedText);
-                        message = 'Text improved';
                 }
 
                 resolve({
                     originalText: selectedText,
                     editedText: editedText,
-                    message: message,
-                    editType: editType
+                    message: this.getEditMessage(editType, customPrompt),
+                    editType: editType,
+                    format: this.getEditFormat(editType),
+                    provider: 'simulation',
+                    simulated: true
                 });
             }, 1000 + Math.random() * 2000);
         });
+
+        await this.simulateStream(result.editedText, options);
+        return result;
     }
 
     shortenText(text) {
@@ -519,12 +1482,13 @@ Current document content: ${documentContent}`
         return table;
     }
 
-    convertToList(text) {
+    // `marker` is the item prefix, or a function of the item index for numbered lists
+    convertToList(text, marker = '- ') {
         const sentences = text.split(/[.!?]+/).filter(s => s.trim());
         if (sentences.length < 2) return text;
         
         return sentences
-            .map(sentence => `• ${sentence.trim()}`)
+            .map((sentence, i) => `${typeof marker === 'function' ? marker(i) : marker}${sentence.trim()}`)
             .join('\n');
     }
 
@@ -0,0 +1,323 @@
+import aiService, { AIResponseError, AIProviderError } from './aiService';
+
+// Markdown conversion has its own schema setup; these tests only check what reaches it
+jest.mock('../utils/markdownUtils', () => ({
+    __esModule: true,
+    default: {
+        toMarkdown: () => '',
+        fromMarkdown: (markdown) => ({ type: 'doc', markdown })
+    }
+}));
+
+const jsonResponse = (data) => ({
+    ok: true,
+    json: async () => data
+});
+
+// A response whose body yields the given chunks of text
+const streamResponse = (chunks) => {
+    const encoder = new TextEncoder();
+    let index = 0;
+    return {
+        ok: true,
+        body: {
+            getReader: () => ({
+                read: async () => (index < chunks.length
+                    ? { done: false, value: encoder.encode(chunks[index++]) }
+                    : { done: true })
+            })
+        }
+    };
+};
+
+const errorResponse = (status, headers = {}) => ({
+    ok: false,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    text: async () => 'error'
+});
+
+const requestBody = () => JSON.parse(global.fetch.mock.calls[0][1].body);
+
+const modifyReply = JSON.stringify({
+    action: 'modify',
+    message: 'Added a heading',
+    newContent: '# Notes\n\nHello world'
+});
+
+beforeEach(() => {
+    global.fetch = jest.fn();
+    // As reported by the server's AI proxy
+    aiService.proxyProviders = ['cohere', 'huggingface'];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+});
+
+describe('Cohere provider', () => {
+    beforeEach(() => {
+        aiService.updateSettings({ provider: 'cohere', models: {}, temperature: 1.5, maxTokens: 500, failover: false });
+    });
+
+    test('sends a v2 chat request through the AI proxy', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({
+            message: { content: [{ type: 'text', text: '{"action":"chat","message":"Hi there"}' }] }
+        }));
+
+        const response = await aiService.getChatResponse('Hello', 'Some text');
+
+        expect(response).toMatchObject({ action: 'chat', message: 'Hi there' });
+        expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:5000/api/ai/cohere');
+        // The proxy adds the API key
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+
+        const body = requestBody();
+        expect(body.model).toBe('command-r-08-2024');
+        expect(body.temperature).toBe(1);
+        expect(body.max_tokens).toBe(500);
+        expect(body.messages[0].role).toBe('system');
+        expect(body.messages[body.messages.length - 1]).toEqual({ role: 'user', content: 'Hello' });
+        expect(body.response_format.type).toBe('json_object');
+    });
+
+    test('uses the configured model', async () => {
+        aiService.updateSettings({ models: { cohere: 'command-a-03-2025' } });
+        global.fetch.mockResolvedValue(jsonResponse({
+            message: { content: [{ type: 'text', text: '{"action":"chat","message":"Hi"}' }] }
+        }));
+
+        await aiService.getChatResponse('Hello', '');
+
+        expect(requestBody().model).toBe('command-a-03-2025');
+    });
+
+    test('returns the new document for modify responses', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({
+            message: { content: [{ type: 'text', text: modifyReply }] }
+        }));
+
+        const response = await aiService.getChatResponse('Add a heading', 'Hello world');
+
+        expect(response.action).toBe('modify');
+        expect(response.newDocument).toEqual({ type: 'doc', markdown: '# Notes\n\nHello world' });
+    });
+
+    test('collects streamed content deltas', async () => {
+        global.fetch.mockResolvedValue(streamResponse([
+            'event: message-start\ndata: {"type":"message-start"}\n\n',
+            'event: content-delta\ndata: {"type":"content-delta","delta":{"message":{"content":{"text":"{\\"action\\":\\"chat\\","}}}}\n\n',
+            'event: content-delta\ndata: {"type":"content-delta","delta":{"message":{"content":{"text":"\\"message\\":\\"Streamed\\"}"}}}}\n\n',
+            'event: message-end\ndata: {"type":"message-end"}\n\n'
+        ]));
+        const onToken = jest.fn();
+
+        const response = await aiService.getChatResponse('Hello', '', { onToken });
+
+        expect(response).toMatchObject({ action: 'chat', message: 'Streamed' });
+        expect(onToken).toHaveBeenCalledTimes(2);
+        expect(requestBody().stream).toBe(true);
+    });
+
+    test('rejects malformed modify responses', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({
+            message: { content: [{ type: 'text', text: '{"action":"modify","message":"Done"}' }] }
+        }));
+
+        await expect(aiService.getChatResponse('Rewrite', 'Text')).rejects.toThrow(AIResponseError);
+    });
+});
+
+describe('Hugging Face provider', () => {
+    beforeEach(() => {
+        aiService.updateSettings({ provider: 'huggingface', models: {}, temperature: 0.7, maxTokens: 1000, failover: false });
+    });
+
+    test('sends an OpenAI-compatible chat request through the AI proxy', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({
+            choices: [{ message: { content: '{"action":"chat","message":"Hello"}' } }]
+        }));
+
+        const response = await aiService.getChatResponse('Hi', 'Some text');
+
+        expect(response).toMatchObject({ action: 'chat', message: 'Hello' });
+        expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:5000/api/ai/huggingface');
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBeUndefined();
+
+        const body = requestBody();
+        expect(body.model).toBe('meta-llama/Llama-3.1-8B-Instruct');
+        expect(body.messages[0].role).toBe('system');
+        expect(body.response_format.json_schema.schema.required).toEqual(['action', 'message']);
+    });
+
+    test('returns the new document for modify responses', async () => {
+        aiService.updateSettings({ models: { huggingface: 'Qwen/Qwen2.5-72B-Instruct' } });
+        global.fetch.mockResolvedValue(jsonResponse({
+            choices: [{ message: { content: modifyReply } }]
+        }));
+
+        const response = await aiService.getChatResponse('Add a heading', 'Hello world');
+
+        expect(requestBody().model).toBe('Qwen/Qwen2.5-72B-Instruct');
+        expect(response.action).toBe('modify');
+        expect(response.newDocument).toEqual({ type: 'doc', markdown: '# Notes\n\nHello world' });
+    });
+
+    test('collects streamed chat completion chunks', async () => {
+        global.fetch.mockResolvedValue(streamResponse([
+            'data: {"choices":[{"delta":{"content":"{\\"action\\":\\"chat\\","}}]}\n\n',
+            'data: {"choices":[{"delta":{"content":"\\"message\\":\\"Streamed\\"}"}}]}\n\ndata: [DONE]\n\n'
+        ]));
+        const onToken = jest.fn();
+
+        const response = await aiService.getChatResponse('Hi', '', { onToken });
+
+        expect(response).toMatchObject({ action: 'chat', message: 'Streamed' });
+        expect(onToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('returns edited text for text edits', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({
+            choices: [{ message: { content: 'A shorter sentence.' } }]
+        }));
+
+        const result = await aiService.getTextEdit('shorten', 'A much longer sentence than needed.');
+
+        expect(result.editedText).toBe('A shorter sentence.');
+        expect(requestBody().response_format).toBeUndefined();
+    });
+});
+
+describe('Provider availability', () => {
+    test('uses the providers the AI proxy has keys for', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({ providers: ['claude'] }));
+
+        await aiService.checkProxy();
+
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost:5000/api/ai/providers', {
+            headers: expect.objectContaining({ 'X-AI-Proxy-Token': aiService.proxyToken })
+        });
+        expect(aiService.isProviderAvailable('claude')).toBe(true);
+        expect(aiService.isProviderAvailable('openai')).toBe(false);
+    });
+
+    test('falls back to the simulation when the proxy is unreachable', async () => {
+        aiService.updateSettings({ provider: 'auto' });
+        global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await aiService.checkProxy();
+
+        expect(aiService.getCurrentProvider()).toBe('simulation');
+    });
+});
+
+describe('Failover', () => {
+    const cohereReply = jsonResponse({
+        message: { content: [{ type: 'text', text: '{"action":"chat","message":"From Cohere"}' }] }
+    });
+    const huggingFaceReply = jsonResponse({
+        choices: [{ message: { content: '{"action":"chat","message":"From Hugging Face"}' } }]
+    });
+
+    beforeEach(() => {
+        aiService.retryDelay = 0;
+        aiService.updateSettings({ provider: 'cohere', models: {}, failover: true });
+    });
+
+    test('retries rate limited requests on the same provider', async () => {
+        global.fetch
+            .mockResolvedValueOnce(errorResponse(429))
+            .mockResolvedValueOnce(cohereReply);
+
+        const response = await aiService.getChatResponse('Hello', '');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(response.provider).toBe('cohere');
+        expect(response.failures).toEqual([]);
+    });
+
+    test('falls over to the next provider on an auth error without retrying', async () => {
+        global.fetch
+            .mockResolvedValueOnce(errorResponse(401))
+            .mockResolvedValueOnce(huggingFaceReply);
+
+        const response = await aiService.getChatResponse('Hello', '');
+
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(global.fetch.mock.calls[1][0]).toBe('http://localhost:5000/api/ai/huggingface');
+        expect(response.message).toBe('From Hugging Face');
+        expect(response.provider).toBe('huggingface');
+        expect(response.failures).toEqual([
+            expect.objectContaining({ provider: 'cohere', kind: 'auth' })
+        ]);
+    });
+
+    test('classifies network errors and gives up after the retries', async () => {
+        global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const error = await aiService.getChatResponse('Hello', '').catch(e => e);
+
+        expect(error).toBeInstanceOf(AIProviderError);
+        expect(error.failures.map(failure => [failure.provider, failure.kind])).toEqual([
+            ['cohere', 'network'],
+            ['huggingface', 'network']
+        ]);
+        expect(global.fetch).toHaveBeenCalledTimes((aiService.maxRetries + 1) * 2);
+    });
+
+    test('only uses the chosen provider when failover is off', async () => {
+        aiService.updateSettings({ failover: false });
+        global.fetch.mockResolvedValue(errorResponse(500));
+
+        const error = await aiService.getChatResponse('Hello', '').catch(e => e);
+
+        expect(error).toBeInstanceOf(AIProviderError);
+        expect(error.failures).toEqual([expect.objectContaining({ provider: 'cohere', kind: 'server' })]);
+        expect(global.fetch).toHaveBeenCalledTimes(aiService.maxRetries + 1);
+    });
+
+    test('says why a text edit fell back to the offline simulation', async () => {
+        aiService.updateSettings({ failover: false });
+        global.fetch.mockResolvedValue(errorResponse(401));
+        jest.spyOn(aiService, 'simulateTextEdit').mockResolvedValue({ editedText: 'Simulated', simulated: true });
+
+        const result = await aiService.getTextEdit('shorten', 'Some text');
+
+        expect(result).toMatchObject({ editedText: 'Simulated', simulated: true, fallbackReason: 'Every AI provider failed' });
+        expect(result.failures.map(failure => aiService.describeFailure(failure))).toEqual(['Cohere: invalid or missing API key']);
+    });
+
+    test('does not retry or fall over when the user stops the request', async () => {
+        const controller = new AbortController();
+        global.fetch.mockImplementation(async () => {
+            controller.abort();
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        });
+
+        const error = await aiService.getChatResponse('Hello', '', { signal: controller.signal }).catch(e => e);
+
+        expect(error.name).toBe('AbortError');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Chat response validation', () => {
+    test('treats a null newContent on a chat reply as no change', () => {
+        const response = aiService.parseResponse('{"action":"chat","message":"Sounds good","newContent":null}');
+
+        expect(response).toEqual({ action: 'chat', message: 'Sounds good' });
+    });
+
+    test('still requires newContent when the reply modifies the document', () => {
+        const reply = '{"action":"modify","message":"Done","newContent":null}';
+
+        expect(() => aiService.parseResponse(reply)).toThrow(AIResponseError);
+        expect(() => aiService.parseResponse(reply)).toThrow(expect.objectContaining({
+            details: expect.arrayContaining(['"newContent" is required when action is "modify"'])
+        }));
+    });
+});
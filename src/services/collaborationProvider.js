@@ -0,0 +1,180 @@
+// Syncs a Yjs document and awareness with the collaboration server, reconnecting
+// with exponential backoff when the connection drops
+import * as Y from 'yjs';
+import { applyAwarenessUpdate, encodeAwarenessUpdate, removeAwarenessStates } from 'y-protocols/awareness';
+import yjsUtils from '../utils/yjsUtils';
+
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+class CollaborationProvider {
+    constructor({ url, documentId, ydoc, awareness, onStatusChange, onMessage }) {
+        this.url = url;
+        this.documentId = documentId;
+        this.ydoc = ydoc;
+        this.awareness = awareness;
+        this.onStatusChange = onStatusChange;
+        this.onMessage = onMessage;
+
+        this.socket = null;
+        this.status = 'connecting';
+        this.synced = false;
+        // Set when local edits have not reached the server yet. Yjs keeps the edits in
+        // the document itself, so on reconnect we only need to send what the server lacks.
+        this.hasPendingChanges = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.retryAt = null;
+        this.destroyed = false;
+
+        this.handleDocUpdate = this.handleDocUpdate.bind(this);
+        this.handleAwarenessUpdate = this.handleAwarenessUpdate.bind(this);
+        this.handleOnline = this.handleOnline.bind(this);
+
+        this.ydoc.on('update', this.handleDocUpdate);
+        this.awareness.on('update', this.handleAwarenessUpdate);
+        window.addEventListener('online', this.handleOnline);
+
+        this.connect();
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.onStatusChange && this.onStatusChange({
+            status,
+            hasPendingChanges: this.hasPendingChanges,
+            retryAt: this.retryAt
+        });
+    }
+
+    connect() {
+        if (this.destroyed) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.retryAt = null;
+        this.synced = false;
+        this.setStatus('connecting');
+
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            console.log('WebSocket connection established');
+            socket.send(JSON.stringify({ type: 'join', documentId: this.documentId }));
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                this.handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Error parsing message:', error);
+            }
+        };
+
+        socket.onclose = () => {
+            console.log('WebSocket connection closed');
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            this.synced = false;
+
+            // Other collaborators' presence is stale without a connection
+            const remoteClients = Array.from(this.awareness.getStates().keys())
+                .filter(clientId => clientId !== this.ydoc.clientID);
+            removeAwarenessStates(this.awareness, remoteClients, yjsUtils.REMOTE_ORIGIN);
+
+            this.scheduleReconnect();
+        };
+
+        socket.onerror = (error) => {
+            console.error('WebSocket error:', error);
+        };
+    }
+
+    scheduleReconnect() {
+        if (this.destroyed) return;
+
+        const delay = Math.min(MAX_RECONNECT_DELAY, MIN_RECONNECT_DELAY * 2 ** this.reconnectAttempts);
+        // Jitter keeps clients from reconnecting in lockstep after a server restart
+        const jitteredDelay = delay / 2 + Math.random() * delay / 2;
+
+        this.reconnectAttempts++;
+        this.retryAt = Date.now() + jitteredDelay;
+        this.reconnectTimer = setTimeout(() => this.connect(), jitteredDelay);
+        this.setStatus('offline');
+    }
+
+    // Retry straight away when the browser comes back online
+    handleOnline() {
+        if (this.status === 'offline') {
+            this.reconnectAttempts = 0;
+            this.connect();
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'init': {
+                const { stateVector, update } = message.data;
+                Y.applyUpdate(this.ydoc, yjsUtils.decode(update), yjsUtils.REMOTE_ORIGIN);
+                this.synced = true;
+                // Send the server anything it is missing, e.g. edits made while offline
+                this.send('update', Y.encodeStateAsUpdate(this.ydoc, yjsUtils.decode(stateVector)));
+                this.send('awareness', encodeAwarenessUpdate(this.awareness, [this.ydoc.clientID]));
+                this.hasPendingChanges = false;
+                this.reconnectAttempts = 0;
+                this.setStatus('connected');
+                break;
+            }
+            case 'update':
+                Y.applyUpdate(this.ydoc, yjsUtils.decode(message.data), yjsUtils.REMOTE_ORIGIN);
+                break;
+            case 'awareness':
+                applyAwarenessUpdate(this.awareness, yjsUtils.decode(message.data), yjsUtils.REMOTE_ORIGIN);
+                break;
+            default:
+                this.onMessage && this.onMessage(message);
+        }
+    }
+
+    send(type, bytes) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type, data: yjsUtils.encode(bytes) }));
+        }
+    }
+
+    // Broadcast local edits; updates applied from the server are not echoed back
+    handleDocUpdate(update, origin) {
+        if (origin === yjsUtils.REMOTE_ORIGIN) return;
+
+        if (this.synced) {
+            this.send('update', update);
+        } else if (origin !== yjsUtils.LOCAL_ORIGIN && !this.hasPendingChanges) {
+            this.hasPendingChanges = true;
+            this.setStatus(this.status);
+        }
+    }
+
+    handleAwarenessUpdate({ added, updated, removed }, origin) {
+        if (origin !== yjsUtils.REMOTE_ORIGIN && this.synced) {
+            this.send('awareness', encodeAwarenessUpdate(this.awareness, added.concat(updated, removed)));
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.reconnectTimer);
+        this.ydoc.off('update', this.handleDocUpdate);
+        this.awareness.off('update', this.handleAwarenessUpdate);
+        window.removeEventListener('online', this.handleOnline);
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
+
+export default CollaborationProvider;
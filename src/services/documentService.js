@@ -0,0 +1,71 @@
+// Client for the collaboration server's document API
+class DocumentService {
+    constructor() {
+        this.baseUrl = process.env.REACT_APP_SERVER_URL || 'http://localhost:5000';
+        this.socketUrl = this.baseUrl.replace(/^http/, 'ws');
+    }
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}/api/documents${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...options.headers
+            }
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed with status ${response.status}`);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    async listDocuments() {
+        return this.request('');
+    }
+
+    async getDocument(id) {
+        return this.request(`/${encodeURIComponent(id)}`);
+    }
+
+    async createDocument(title = '') {
+        return this.request('', {
+            method: 'POST',
+            body: JSON.stringify({ title })
+        });
+    }
+
+    async renameDocument(id, title) {
+        return this.request(`/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ title })
+        });
+    }
+
+    async deleteDocument(id) {
+        return this.request(`/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async listVersions(id) {
+        return this.request(`/${encodeURIComponent(id)}/versions`);
+    }
+
+    // Includes the base64 Yjs `state` of the version
+    async getVersion(id, versionId) {
+        return this.request(`/${encodeURIComponent(id)}/versions/${encodeURIComponent(versionId)}`);
+    }
+
+    async createVersion(id, { author, reason, state }) {
+        return this.request(`/${encodeURIComponent(id)}/versions`, {
+            method: 'POST',
+            body: JSON.stringify({ author, reason, state })
+        });
+    }
+}
+
+const documentService = new DocumentService();
+export default documentService;
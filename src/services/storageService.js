@@ -0,0 +1,154 @@
+// Offline storage in IndexedDB: Yjs document state, chat history and pending AI
+// previews, all keyed by document id
+import * as Y from 'yjs';
+import yjsUtils from '../utils/yjsUtils';
+
+const DB_NAME = 'collab-editor';
+const DB_VERSION = 1;
+const STORES = ['documents', 'chats', 'drafts'];
+const SAVE_DELAY = 500;
+
+class StorageService {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    STORES.forEach((store) => {
+                        if (!db.objectStoreNames.contains(store)) {
+                            db.createObjectStore(store);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run a single request against one object store
+    async run(storeName, mode, action) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const db = await this.open();
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = action(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error(`IndexedDB error (${storeName}):`, error);
+            return null;
+        }
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    put(storeName, key, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value, key));
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    async getDocumentState(documentId) {
+        const state = await this.get('documents', documentId);
+        return state ? new Uint8Array(state) : null;
+    }
+
+    saveDocumentState(documentId, state) {
+        return this.put('documents', documentId, state);
+    }
+
+    // Restore the saved document into `ydoc`, then keep the saved copy up to date.
+    // `whenLoaded` resolves once the local copy has been applied.
+    bindDocument(documentId, ydoc) {
+        let saveTimer = null;
+        let destroyed = false;
+
+        const save = () => {
+            saveTimer = null;
+            this.saveDocumentState(documentId, Y.encodeStateAsUpdate(ydoc));
+        };
+
+        const handleUpdate = () => {
+            if (!saveTimer) {
+                saveTimer = setTimeout(save, SAVE_DELAY);
+            }
+        };
+
+        const whenLoaded = this.getDocumentState(documentId).then((state) => {
+            if (destroyed) return;
+            if (state) {
+                Y.applyUpdate(ydoc, state, yjsUtils.LOCAL_ORIGIN);
+            }
+            ydoc.on('update', handleUpdate);
+        });
+
+        return {
+            whenLoaded,
+            destroy: () => {
+                destroyed = true;
+                ydoc.off('update', handleUpdate);
+                if (saveTimer) {
+                    clearTimeout(saveTimer);
+                    save();
+                }
+            }
+        };
+    }
+
+    // Chat is kept as separate conversation threads per document:
+    // { activeThreadId, threads: [{ id, createdAt, messages }] }
+    async getChatThreads(documentId) {
+        const saved = await this.get('chats', documentId);
+
+        // Older versions stored a single list of messages
+        if (Array.isArray(saved)) {
+            const thread = { id: `${Date.now()}`, createdAt: Date.now(), messages: saved };
+            return { activeThreadId: thread.id, threads: [thread] };
+        }
+        return saved || { activeThreadId: null, threads: [] };
+    }
+
+    saveChatThreads(documentId, chat) {
+        return this.put('chats', documentId, chat);
+    }
+
+    getDraft(documentId) {
+        return this.get('drafts', documentId);
+    }
+
+    saveDraft(documentId, draft) {
+        return this.put('drafts', documentId, draft);
+    }
+
+    clearDraft(documentId) {
+        return this.delete('drafts', documentId);
+    }
+
+    // Forget everything stored for a deleted document
+    async deleteDocument(documentId) {
+        await Promise.all(STORES.map(store => this.delete(store, documentId)));
+    }
+}
+
+const storageService = new StorageService();
+export default storageService;
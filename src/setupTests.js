@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom doesn't provide these; react-router, Yjs and the AI stream readers need them
+import { TextEncoder, TextDecoder } from 'util';
+import { webcrypto } from 'crypto';
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+if (!global.crypto?.getRandomValues) {
+    Object.defineProperty(global, 'crypto', { value: webcrypto });
+}
@@ -0,0 +1,37 @@
+// Text diffing helpers built on jsdiff
+import { diffWords } from 'diff';
+
+export const diffUtils = {
+    // Split a word diff into the two sides of a side-by-side view. Each side is a
+    // list of { text, type } parts where type is 'same', 'removed' or 'added'.
+    sideBySide: (oldText, newText) => {
+        const left = [];
+        const right = [];
+
+        diffWords(oldText, newText).forEach((part) => {
+            if (part.added) {
+                right.push({ text: part.value, type: 'added' });
+            } else if (part.removed) {
+                left.push({ text: part.value, type: 'removed' });
+            } else {
+                left.push({ text: part.value, type: 'same' });
+                right.push({ text: part.value, type: 'same' });
+            }
+        });
+
+        return { left, right };
+    },
+
+    // Count changed words, for summaries like "+12 / -3"
+    getChangeStats: (oldText, newText) => {
+        const countWords = (text) => text.split(/\s+/).filter(word => word.length > 0).length;
+
+        return diffWords(oldText, newText).reduce((stats, part) => {
+            if (part.added) stats.added += countWords(part.value);
+            if (part.removed) stats.removed += countWords(part.value);
+            return stats;
+        }, { added: 0, removed: 0 });
+    }
+};
+
+export default diffUtils;
@@ -0,0 +1,571 @@
+// Word (.docx) export and import, both done entirely in the browser.
+//
+// Export maps the editor's node tree onto Word paragraphs, runs and tables.
+// Import reads word/document.xml back into Tiptap JSON. It understands what
+// export writes (heading, Quote and Code styles, list numbering, ☐/☑ task items,
+// highlight and shading colours) as well as the common parts of documents made
+// in Word itself.
+import {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    ExternalHyperlink,
+    HeadingLevel,
+    LevelFormat,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} from 'docx';
+import JSZip from 'jszip';
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const BULLET_LIST = 'bullet-list';
+const ORDERED_LIST = 'ordered-list';
+const CODE_STYLE = 'Code';
+const QUOTE_STYLE = 'Quote';
+const TASK_CHECKED = '☑';
+const TASK_UNCHECKED = '☐';
+
+// Word list levels are indented by half an inch each
+const LEVEL_INDENT = 720;
+
+const HEADINGS = [
+    HeadingLevel.HEADING_1,
+    HeadingLevel.HEADING_2,
+    HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4,
+    HeadingLevel.HEADING_5,
+    HeadingLevel.HEADING_6
+];
+
+// Word's named highlight colours. Yellow is the editor's default highlight.
+const HIGHLIGHT_COLORS = {
+    yellow: null,
+    green: '#00ff00',
+    cyan: '#00ffff',
+    magenta: '#ff00ff',
+    blue: '#0000ff',
+    red: '#ff0000',
+    darkBlue: '#000080',
+    darkCyan: '#008080',
+    darkGreen: '#008000',
+    darkMagenta: '#800080',
+    darkRed: '#800000',
+    darkYellow: '#808000',
+    darkGray: '#808080',
+    lightGray: '#c0c0c0',
+    black: '#000000',
+    white: '#ffffff'
+};
+
+const MONOSPACE_FONTS = ['courier new', 'courier', 'consolas', 'menlo', 'monaco', 'lucida console', 'source code pro'];
+
+const mapChildren = (node, fn) => {
+    const results = [];
+    node.forEach((child, offset, index) => results.push(fn(child, index)));
+    return results;
+};
+
+// --- Export ---
+
+// Run formatting for a text node's marks
+const runOptions = (marks) => {
+    const options = {};
+    marks.forEach((mark) => {
+        switch (mark.type.name) {
+            case 'bold':
+                options.bold = true;
+                break;
+            case 'italic':
+                options.italics = true;
+                break;
+            case 'strike':
+                options.strike = true;
+                break;
+            case 'underline':
+                options.underline = {};
+                break;
+            case 'code':
+                options.font = 'Courier New';
+                break;
+            case 'highlight': {
+                const color = mark.attrs.color;
+                if (color && /^#[0-9a-f]{6}$/i.test(color)) {
+                    options.shading = { type: ShadingType.CLEAR, color: 'auto', fill: color.slice(1) };
+                } else {
+                    options.highlight = 'yellow';
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+    return options;
+};
+
+const inlineRuns = (node) => mapChildren(node, (child) => {
+    if (child.type.name === 'hardBreak') return new TextRun({ break: 1 });
+    if (!child.isText) return null;
+
+    const link = child.marks.find(mark => mark.type.name === 'link');
+    if (link) {
+        return new ExternalHyperlink({
+            link: link.attrs.href,
+            children: [new TextRun({ ...runOptions(child.marks), text: child.text, style: 'Hyperlink' })]
+        });
+    }
+    return new TextRun({ ...runOptions(child.marks), text: child.text });
+}).filter(Boolean);
+
+// Word paragraphs and tables for a block node
+const exportBlock = (node, context) => {
+    const style = context.quote ? QUOTE_STYLE : undefined;
+
+    switch (node.type.name) {
+        case 'heading':
+            return [new Paragraph({ heading: HEADINGS[node.attrs.level - 1], children: inlineRuns(node) })];
+        case 'codeBlock':
+            // One Code paragraph per line; import joins consecutive ones back together
+            return node.textContent.split('\n').map(line => new Paragraph({
+                style: CODE_STYLE,
+                children: [new TextRun(line)]
+            }));
+        case 'blockquote':
+            return mapChildren(node, child => exportBlock(child, { ...context, quote: true })).flat();
+        case 'horizontalRule':
+            return [new Paragraph({
+                border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'auto', space: 1 } },
+                children: []
+            })];
+        case 'bulletList':
+        case 'orderedList':
+        case 'taskList':
+            return exportList(node, context);
+        case 'table':
+            return [exportTable(node, context)];
+        default:
+            if (node.isTextblock) {
+                return [new Paragraph({ style, children: inlineRuns(node) })];
+            }
+            return mapChildren(node, child => exportBlock(child, context)).flat();
+    }
+};
+
+const exportList = (list, context) => {
+    const level = context.listLevel + 1;
+    // Each ordered list gets its own numbering instance so it restarts at 1
+    const instance = list.type.name === 'orderedList' ? ++context.orderedLists.count : 0;
+
+    return mapChildren(list, item => mapChildren(item, (child, index) => {
+        if (index > 0 || !child.isTextblock) {
+            return exportBlock(child, { ...context, listLevel: level });
+        }
+
+        if (list.type.name === 'taskList') {
+            const box = item.attrs.checked ? TASK_CHECKED : TASK_UNCHECKED;
+            return [new Paragraph({
+                style: context.quote ? QUOTE_STYLE : undefined,
+                indent: { left: LEVEL_INDENT * (level + 1), hanging: 360 },
+                children: [new TextRun(`${box} `), ...inlineRuns(child)]
+            })];
+        }
+
+        return [new Paragraph({
+            style: context.quote ? QUOTE_STYLE : undefined,
+            numbering: {
+                reference: list.type.name === 'orderedList' ? ORDERED_LIST : BULLET_LIST,
+                level,
+                instance
+            },
+            children: inlineRuns(child)
+        })];
+    }).flat()).flat();
+};
+
+const exportTable = (table, context) => new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: mapChildren(table, row => new TableRow({
+        tableHeader: row.firstChild?.type.name === 'tableHeader',
+        children: mapChildren(row, (cell) => {
+            const blocks = mapChildren(cell, child => exportBlock(child, { ...context, quote: false })).flat();
+            return new TableCell({
+                columnSpan: cell.attrs.colspan > 1 ? cell.attrs.colspan : undefined,
+                // Written as a vMerge restart cell plus continuation cells in the rows below
+                rowSpan: cell.attrs.rowspan > 1 ? cell.attrs.rowspan : undefined,
+                shading: cell.type.name === 'tableHeader'
+                    ? { type: ShadingType.CLEAR, color: 'auto', fill: 'F2F2F2' }
+                    : undefined,
+                // Word requires at least one paragraph per cell
+                children: blocks.length ? blocks : [new Paragraph({})]
+            });
+        })
+    }))
+});
+
+const listLevels = (format) => Array.from({ length: 9 }, (_, level) => ({
+    level,
+    format: format(level),
+    text: format(level) === LevelFormat.BULLET ? ['•', '◦', '▪'][level % 3] : `%${level + 1}.`,
+    alignment: AlignmentType.LEFT,
+    style: { paragraph: { indent: { left: LEVEL_INDENT * (level + 1), hanging: 360 } } }
+}));
+
+// --- Import ---
+
+const elements = (node, name) => Array.from(node?.childNodes || [])
+    .filter(child => child.nodeType === 1 && (!name || child.localName === name));
+
+const element = (node, name) => elements(node, name)[0] || null;
+
+const attribute = (node, name) => (node ? node.getAttributeNS(W, name) ?? node.getAttribute(`w:${name}`) : null);
+
+// On/off properties like <w:b/> are on unless their value says otherwise
+const isOn = (node) => !!node && !['0', 'false', 'off'].includes(attribute(node, 'val'));
+
+const parseXML = async (zip, path) => {
+    const file = zip.file(path);
+    if (!file) return null;
+    return new DOMParser().parseFromString(await file.async('string'), 'application/xml');
+};
+
+// numId -> list level -> number format ("bullet", "decimal", ...)
+const parseNumbering = (xml) => {
+    const root = xml?.documentElement;
+    const abstractFormats = new Map();
+    elements(root, 'abstractNum').forEach((abstractNum) => {
+        const levels = new Map();
+        elements(abstractNum, 'lvl').forEach((lvl) => {
+            levels.set(Number(attribute(lvl, 'ilvl')), attribute(element(lvl, 'numFmt'), 'val'));
+        });
+        abstractFormats.set(attribute(abstractNum, 'abstractNumId'), levels);
+    });
+
+    const formats = new Map();
+    elements(root, 'num').forEach((num) => {
+        formats.set(attribute(num, 'numId'), abstractFormats.get(attribute(element(num, 'abstractNumId'), 'val')));
+    });
+    return formats;
+};
+
+// Relationship id -> target, for hyperlinks
+const parseRelationships = (xml) => new Map(elements(xml?.documentElement, 'Relationship')
+    .map(relationship => [relationship.getAttribute('Id'), relationship.getAttribute('Target')]));
+
+// Style id -> lower-case style name
+const parseStyles = (xml) => new Map(elements(xml?.documentElement, 'style')
+    .map(style => [attribute(style, 'styleId'), (attribute(element(style, 'name'), 'val') || '').toLowerCase()]));
+
+const importMarks = (rPr, link) => {
+    const marks = [];
+    if (!rPr) return link ? [link] : marks;
+
+    const fonts = element(rPr, 'rFonts');
+    const font = (attribute(fonts, 'ascii') || attribute(fonts, 'hAnsi') || '').toLowerCase();
+    // Code can't be combined with other marks in the editor
+    if (MONOSPACE_FONTS.includes(font)) return [{ type: 'code' }];
+
+    if (isOn(element(rPr, 'b'))) marks.push({ type: 'bold' });
+    if (isOn(element(rPr, 'i'))) marks.push({ type: 'italic' });
+    if (isOn(element(rPr, 'strike')) || isOn(element(rPr, 'dstrike'))) marks.push({ type: 'strike' });
+    const underline = element(rPr, 'u');
+    if (underline && attribute(underline, 'val') !== 'none' && !link) marks.push({ type: 'underline' });
+
+    const highlight = attribute(element(rPr, 'highlight'), 'val');
+    const fill = attribute(element(rPr, 'shd'), 'fill');
+    if (highlight && highlight !== 'none') {
+        marks.push({ type: 'highlight', attrs: { color: HIGHLIGHT_COLORS[highlight] ?? null } });
+    } else if (fill && fill !== 'auto') {
+        marks.push({ type: 'highlight', attrs: { color: `#${fill.toLowerCase()}` } });
+    }
+
+    if (link) marks.push(link);
+    return marks;
+};
+
+// Inline content of a paragraph, merging neighbouring text with the same marks
+const importInline = (paragraph, relationships) => {
+    const content = [];
+
+    const addText = (text, marks) => {
+        const last = content[content.length - 1];
+        if (last?.type === 'text' && JSON.stringify(last.marks || []) === JSON.stringify(marks)) {
+            last.text += text;
+        } else {
+            content.push({ type: 'text', text, ...(marks.length && { marks }) });
+        }
+    };
+
+    const walk = (node, link) => elements(node).forEach((child) => {
+        switch (child.localName) {
+            case 'r': {
+                const marks = importMarks(element(child, 'rPr'), link);
+                elements(child).forEach((part) => {
+                    if (part.localName === 't') addText(part.textContent, marks);
+                    else if (part.localName === 'tab') addText('\t', marks);
+                    else if (part.localName === 'noBreakHyphen') addText('-', marks);
+                    else if ((part.localName === 'br' && attribute(part, 'type') !== 'page') || part.localName === 'cr') {
+                        content.push({ type: 'hardBreak' });
+                    }
+                });
+                break;
+            }
+            case 'hyperlink': {
+                const href = relationships.get(child.getAttributeNS(R, 'id') ?? child.getAttribute('r:id'));
+                walk(child, href ? { type: 'link', attrs: { href } } : link);
+                break;
+            }
+            // Tracked insertions and other wrappers around runs
+            case 'ins':
+            case 'smartTag':
+            case 'fldSimple':
+            case 'customXml':
+            case 'sdt':
+            case 'sdtContent':
+                walk(child, link);
+                break;
+            default:
+                break;
+        }
+    });
+
+    walk(paragraph, null);
+    return content;
+};
+
+// Strip a leading ☐/☑ from imported content, returning whether it was checked
+const takeTaskBox = (content) => {
+    const first = content[0];
+    const match = first?.type === 'text' && first.text.match(/^\s*([☐☑☒])\s?/);
+    if (!match) return null;
+
+    first.text = first.text.slice(match[0].length);
+    if (!first.text) content.shift();
+    return match[1] !== TASK_UNCHECKED;
+};
+
+const LIST_TYPES = { bullet: 'bulletList', ordered: 'orderedList', task: 'taskList' };
+
+// Tiptap blocks for the children of <w:body> or a table cell
+const importBlocks = (container, context) => {
+    const blocks = [];
+    let lists = [];
+
+    const addListItem = (kind, level, paragraph, checked) => {
+        while (lists.length) {
+            const top = lists[lists.length - 1];
+            if (top.level > level || (top.level === level && top.kind !== kind)) lists.pop();
+            else break;
+        }
+
+        if (!lists.length || lists[lists.length - 1].level < level) {
+            const list = { type: LIST_TYPES[kind], content: [] };
+            const parent = lists[lists.length - 1];
+            if (parent) {
+                parent.list.content[parent.list.content.length - 1].content.push(list);
+            } else {
+                blocks.push(list);
+            }
+            lists.push({ list, level, kind });
+        }
+
+        const item = kind === 'task'
+            ? { type: 'taskItem', attrs: { checked }, content: [paragraph] }
+            : { type: 'listItem', content: [paragraph] };
+        lists[lists.length - 1].list.content.push(item);
+    };
+
+    const addBlock = (block) => {
+        lists = [];
+        blocks.push(block);
+    };
+
+    const importParagraph = (p) => {
+        const pPr = element(p, 'pPr');
+        const styleId = attribute(element(pPr, 'pStyle'), 'val') || '';
+        const styleName = context.styles.get(styleId) || styleId.toLowerCase();
+        const content = importInline(p, context.relationships);
+        const paragraph = { type: 'paragraph', ...(content.length && { content }) };
+        const last = blocks[blocks.length - 1];
+
+        const heading = styleName.match(/^heading\s*([1-6])$/) || (styleName === 'title' && [null, '1']);
+        if (heading) {
+            addBlock({ type: 'heading', attrs: { level: Number(heading[1]) }, ...(content.length && { content }) });
+            return;
+        }
+
+        if (['code', 'html preformatted', 'source code', 'plain text'].includes(styleName)) {
+            const text = content.map(node => (node.type === 'text' ? node.text : '\n')).join('');
+            if (last?.type === 'codeBlock' && !lists.length) {
+                last.lines.push(text);
+            } else {
+                addBlock({ type: 'codeBlock', lines: [text] });
+            }
+            return;
+        }
+
+        const numPr = element(pPr, 'numPr');
+        const numId = attribute(element(numPr, 'numId'), 'val');
+        if (numId && numId !== '0') {
+            const level = Number(attribute(element(numPr, 'ilvl'), 'val')) || 0;
+            const format = context.numbering.get(numId)?.get(level);
+            addListItem(format === 'bullet' ? 'bullet' : 'ordered', level, paragraph);
+            return;
+        }
+
+        const checked = takeTaskBox(content);
+        if (checked !== null) {
+            const left = Number(attribute(element(pPr, 'ind'), 'left') || attribute(element(pPr, 'ind'), 'start')) || 0;
+            const level = Math.max(0, Math.round(left / LEVEL_INDENT) - 1);
+            addListItem('task', level, { type: 'paragraph', ...(content.length && { content }) }, checked);
+            return;
+        }
+
+        if (!content.length && element(element(pPr, 'pBdr'), 'bottom')) {
+            addBlock({ type: 'horizontalRule' });
+            return;
+        }
+
+        if (styleName.includes('quote')) {
+            if (last?.type === 'blockquote' && !lists.length) {
+                last.content.push(paragraph);
+            } else {
+                addBlock({ type: 'blockquote', content: [paragraph] });
+            }
+            return;
+        }
+
+        addBlock(paragraph);
+    };
+
+    const importTable = (tbl) => {
+        // Cells that started a vertical merge, by the grid column they start in
+        const merging = new Map();
+        const rows = elements(tbl, 'tr').map((tr) => {
+            const isHeader = isOn(element(element(tr, 'trPr'), 'tblHeader'));
+            const cells = [];
+            let column = 0;
+            elements(tr, 'tc').forEach((tc) => {
+                const tcPr = element(tc, 'tcPr');
+                const span = Number(attribute(element(tcPr, 'gridSpan'), 'val')) || 1;
+                const vMerge = element(tcPr, 'vMerge');
+                const start = column;
+                column += span;
+
+                // A continuation cell only extends the cell above it
+                if (vMerge && attribute(vMerge, 'val') !== 'restart' && merging.has(start)) {
+                    merging.get(start).attrs.rowspan++;
+                    return;
+                }
+
+                const content = importBlocks(tc, context);
+                const cell = {
+                    type: isHeader ? 'tableHeader' : 'tableCell',
+                    attrs: { colspan: span, rowspan: 1 },
+                    content: content.length ? content : [{ type: 'paragraph' }]
+                };
+                if (vMerge) {
+                    merging.set(start, cell);
+                } else {
+                    merging.delete(start);
+                }
+                cells.push(cell);
+            });
+            return { type: 'tableRow', content: cells };
+        }).filter(row => row.content.length);
+
+        if (rows.length) addBlock({ type: 'table', content: rows });
+    };
+
+    const walk = (node) => elements(node).forEach((child) => {
+        if (child.localName === 'p') importParagraph(child);
+        else if (child.localName === 'tbl') importTable(child);
+        else if (child.localName === 'sdt') walk(element(child, 'sdtContent'));
+    });
+
+    walk(container);
+
+    // Code blocks collect one line per paragraph until they're complete
+    blocks.filter(block => block.lines).forEach((block) => {
+        const text = block.lines.join('\n');
+        delete block.lines;
+        if (text) block.content = [{ type: 'text', text }];
+    });
+    return blocks;
+};
+
+export const docxUtils = {
+    // A .docx Blob for a document node (see downloadUtils.toDocumentNode)
+    toDocx: (doc, title = 'Document') => {
+        // The ordered list count is shared by every nested context
+        const context = { quote: false, listLevel: -1, orderedLists: { count: 0 } };
+        const document = new Document({
+            title: title,
+            styles: {
+                paragraphStyles: [
+                    {
+                        id: CODE_STYLE,
+                        name: 'Code',
+                        basedOn: 'Normal',
+                        run: { font: 'Courier New', size: 20 },
+                        paragraph: {
+                            spacing: { before: 0, after: 0 },
+                            shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'F4F4F4' }
+                        }
+                    },
+                    {
+                        id: QUOTE_STYLE,
+                        name: 'Quote',
+                        basedOn: 'Normal',
+                        run: { italics: true, color: '555555' },
+                        paragraph: {
+                            indent: { left: LEVEL_INDENT },
+                            border: { left: { style: BorderStyle.SINGLE, size: 12, color: 'CCCCCC', space: 8 } }
+                        }
+                    }
+                ]
+            },
+            numbering: {
+                config: [
+                    { reference: BULLET_LIST, levels: listLevels(() => LevelFormat.BULLET) },
+                    {
+                        reference: ORDERED_LIST,
+                        levels: listLevels(level => [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN][level % 3])
+                    }
+                ]
+            },
+            sections: [{
+                children: mapChildren(doc, child => exportBlock(child, context)).flat()
+            }]
+        });
+
+        return Packer.toBlob(document);
+    },
+
+    // Tiptap JSON for a .docx File, Blob or ArrayBuffer
+    fromDocx: async (file) => {
+        const zip = await JSZip.loadAsync(file);
+        const documentXml = await parseXML(zip, 'word/document.xml');
+        if (!documentXml) {
+            throw new Error('This file is not a Word document');
+        }
+
+        const context = {
+            numbering: parseNumbering(await parseXML(zip, 'word/numbering.xml')),
+            relationships: parseRelationships(await parseXML(zip, 'word/_rels/document.xml.rels')),
+            styles: parseStyles(await parseXML(zip, 'word/styles.xml'))
+        };
+        const content = importBlocks(element(documentXml.documentElement, 'body'), context);
+
+        return { type: 'doc', content: content.length ? content : [{ type: 'paragraph' }] };
+    }
+};
+
+export default docxUtils;
@@ -0,0 +1,90 @@
+import docxUtils from './docxUtils';
+import downloadUtils from './downloadUtils';
+
+const p = (...content) => ({ type: 'paragraph', ...(content.length ? { content } : {}) });
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks ? { marks } : {}) });
+const item = (type, value, extra = []) => ({ type, content: [p(text(value)), ...extra] });
+const cell = (type, value, attrs = {}) => ({ type, attrs, content: [p(text(value))] });
+
+// Export to .docx and import the result again
+const roundTrip = async (json) => {
+    const blob = await docxUtils.toDocx(downloadUtils.toDocumentNode(json), 'Test');
+    return downloadUtils.toDocumentNode(await docxUtils.fromDocx(blob)).toJSON();
+};
+
+describe('docxUtils round trips', () => {
+    test.each([
+        ['headings and inline marks', [
+            { type: 'heading', attrs: { level: 2 }, content: [text('Title')] },
+            p(
+                text('bold', [{ type: 'bold' }]),
+                text(' '),
+                text('italic', [{ type: 'italic' }]),
+                text(' '),
+                text('under', [{ type: 'underline' }]),
+                text(' '),
+                text('struck', [{ type: 'strike' }]),
+                text(' '),
+                text('code', [{ type: 'code' }]),
+                text(' '),
+                text('marked', [{ type: 'highlight', attrs: { color: null } }]),
+                text(' '),
+                text('link', [{ type: 'link', attrs: { href: 'https://example.com' } }])
+            ),
+            p(text('line one'), { type: 'hardBreak' }, text('line two'))
+        ]],
+        ['nested and restarted lists', [
+            { type: 'bulletList', content: [item('listItem', 'outer', [{ type: 'bulletList', content: [item('listItem', 'inner')] }])] },
+            { type: 'orderedList', content: [item('listItem', 'first'), item('listItem', 'second')] },
+            p(text('between')),
+            { type: 'orderedList', content: [item('listItem', 'again')] }
+        ]],
+        ['task lists', [
+            {
+                type: 'taskList',
+                content: [
+                    { ...item('taskItem', 'done'), attrs: { checked: true } },
+                    { ...item('taskItem', 'todo'), attrs: { checked: false } }
+                ]
+            }
+        ]],
+        ['code, quotes and rules', [
+            { type: 'codeBlock', content: [text('a = 1\n\nb = 2')] },
+            { type: 'blockquote', content: [p(text('quoted'))] },
+            { type: 'horizontalRule' },
+            p(text('after'))
+        ]],
+        ['tables with header rows and spanning columns', [
+            {
+                type: 'table',
+                content: [
+                    { type: 'tableRow', content: [cell('tableHeader', 'Both', { colspan: 2 })] },
+                    { type: 'tableRow', content: [cell('tableCell', '1'), cell('tableCell', '2')] }
+                ]
+            }
+        ]],
+        ['tables with cells spanning rows', [
+            {
+                type: 'table',
+                content: [
+                    { type: 'tableRow', content: [cell('tableHeader', 'Name'), cell('tableHeader', 'A'), cell('tableHeader', 'B')] },
+                    { type: 'tableRow', content: [cell('tableCell', 'Tall', { rowspan: 3 }), cell('tableCell', '1'), cell('tableCell', '2')] },
+                    { type: 'tableRow', content: [cell('tableCell', 'Wide', { colspan: 2 })] },
+                    { type: 'tableRow', content: [cell('tableCell', '3'), cell('tableCell', 'Also tall', { rowspan: 2 })] },
+                    { type: 'tableRow', content: [cell('tableCell', 'x'), cell('tableCell', 'y')] }
+                ]
+            }
+        ]]
+    ])('%s', async (name, content) => {
+        const json = { type: 'doc', content };
+        expect(await roundTrip(json)).toEqual(downloadUtils.toDocumentNode(json).toJSON());
+    });
+
+    test('rejects files that are not Word documents', async () => {
+        const JSZip = (await import('jszip')).default;
+        const zip = new JSZip();
+        zip.file('readme.txt', 'hello');
+
+        await expect(docxUtils.fromDocx(await zip.generateAsync({ type: 'arraybuffer' }))).rejects.toThrow('This file is not a Word document');
+    });
+});
@@ -1,45 +1,242 @@
-// Download utilities for exporting documents
+// Download utilities for exporting documents. Every format is generated from the
+// editor's node tree, so headings, lists, task items, marks and code blocks survive.
+import { getHTMLFromFragment, getSchema } from '@tiptap/core';
+import documentExtensions from '../extensions/documentExtensions';
+import { getSuggestions, withoutSuggestions } from '../extensions/Suggestions';
+import markdownUtils from './markdownUtils';
+import pdfUtils from './pdfUtils';
+
+const schema = getSchema(documentExtensions);
+
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const mapChildren = (node, fn) => {
+    const results = [];
+    node.forEach((child, offset, index) => results.push(fn(child, index)));
+    return results;
+};
+
+// List item marker as plain text
+const listMarker = (list, item, index) => {
+    if (list.type.name === 'orderedList') return `${(list.attrs.start || 1) + index}. `;
+    if (list.type.name === 'taskList') return item.attrs.checked ? '[x] ' : '[ ] ';
+    return '- ';
+};
+
+// Plain-text lines for a block node
+const textLines = (node) => {
+    switch (node.type.name) {
+        case 'bulletList':
+        case 'orderedList':
+        case 'taskList':
+            return mapChildren(node, (item, index) => {
+                const marker = listMarker(node, item, index);
+                // An item's paragraph and nested lists follow each other without blank lines
+                const lines = mapChildren(item, textLines).flat();
+                return lines.map((line, i) => (i === 0 ? marker : ' '.repeat(marker.length)) + line);
+            }).flat();
+        case 'codeBlock':
+            return node.textContent.split('\n');
+        case 'blockquote':
+            return blockLines(node).map(line => `> ${line}`);
+        case 'horizontalRule':
+            return ['---'];
+        case 'table':
+            return mapChildren(node, row => mapChildren(row, cell => cell.textContent).join('\t'));
+        default:
+            if (node.isTextblock) {
+                return node.textBetween(0, node.content.size, '\n', '\n').split('\n');
+            }
+            return blockLines(node);
+    }
+};
+
+// Child blocks separated by blank lines
+const blockLines = (node) => mapChildren(node, textLines)
+    .reduce((lines, block) => (lines.length ? [...lines, '', ...block] : block), []);
+
+// RTF escapes; anything outside ASCII is written as a signed 16-bit \u code
+const escapeRTF = (text) => Array.from(text).map((char) => {
+    if (char === '\\' || char === '{' || char === '}') return `\\${char}`;
+    if (char === '\n') return '\\line ';
+    if (char === '\t') return '\\tab ';
+
+    const code = char.codePointAt(0);
+    if (code < 128) return char;
+    if (code > 0xffff) {
+        // Characters outside the BMP are written as their UTF-16 surrogate pair
+        return Array.from({ length: 2 }, (_, i) => char.charCodeAt(i))
+            .map(unit => `\\u${unit - 65536}?`).join('');
+    }
+    return `\\u${code > 32767 ? code - 65536 : code}?`;
+}).join('');
+
+const RTF_MARKS = {
+    bold: '\\b',
+    italic: '\\i',
+    underline: '\\ul',
+    strike: '\\strike',
+    code: '\\f1'
+};
+
+// Colour table entries every RTF export starts with: black, the default yellow
+// highlight and the link colour. Highlight colours follow from index 4.
+const RTF_BASE_COLORS = ['#000000', '#ffeb3b', '#0000ee'];
+const RTF_HIGHLIGHT = 2;
+const RTF_LINK = 3;
+
+// [red, green, blue] for #rgb, #rrggbb (ignoring any alpha) or rgb() colours
+const parseColor = (color) => {
+    const hex = /^#([0-9a-f]{3,8})$/i.exec(color || '');
+    if (hex && [3, 4].includes(hex[1].length)) {
+        return hex[1].slice(0, 3).split('').map(digit => parseInt(digit + digit, 16));
+    }
+    if (hex && [6, 8].includes(hex[1].length)) {
+        return [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16));
+    }
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color || '');
+    return rgb ? rgb.slice(1, 4).map(Number) : null;
+};
+
+// Colour table index for every highlight colour used in the document
+const rtfHighlightColors = (doc) => {
+    const colors = new Map();
+    doc.descendants((node) => {
+        node.marks.forEach((mark) => {
+            const { color } = mark.attrs;
+            if (mark.type.name === 'highlight' && color && !colors.has(color) && parseColor(color)) {
+                colors.set(color, RTF_BASE_COLORS.length + colors.size + 1);
+            }
+        });
+    });
+    return colors;
+};
+
+const RTF_HEADING_SIZES = [48, 40, 32, 28, 24, 24];
+
+const rtfInline = (node, colors) => mapChildren(node, (child) => {
+    if (child.type.name === 'hardBreak') return '\\line ';
+    if (!child.isText) return '';
+
+    const controls = child.marks.map(mark => (mark.type.name === 'highlight'
+        ? `\\highlight${colors.get(mark.attrs.color) || RTF_HIGHLIGHT}`
+        : RTF_MARKS[mark.type.name])).filter(Boolean).join('');
+    const text = `{${controls}${controls ? ' ' : ''}${escapeRTF(child.text)}}`;
+    const link = child.marks.find(mark => mark.type.name === 'link');
+    return link
+        ? `{\\field{\\*\\fldinst HYPERLINK "${escapeRTF(link.attrs.href)}"}{\\fldrslt {\\ul\\cf${RTF_LINK} ${text}}}}`
+        : text;
+}).join('');
+
+// RTF for a block node; `indent` is the left indent in twips and `colors` maps
+// highlight colours to colour table indexes
+const rtfBlock = (node, colors, indent = 0) => {
+    const paragraph = (format, content) => `{\\pard\\li${indent}\\sa180${format} ${content}\\par}\n`;
+
+    switch (node.type.name) {
+        case 'heading':
+            return paragraph(`\\keepn\\b\\fs${RTF_HEADING_SIZES[node.attrs.level - 1]}`, rtfInline(node, colors));
+        case 'codeBlock':
+            return paragraph('\\f1\\fs20', escapeRTF(node.textContent));
+        case 'blockquote':
+            return mapChildren(node, child => rtfBlock(child, colors, indent + 720)).join('');
+        case 'horizontalRule':
+            return `{\\pard\\li${indent}\\brdrb\\brdrs\\brdrw10\\brsp20 \\par}\n`;
+        case 'bulletList':
+        case 'orderedList':
+        case 'taskList':
+            return mapChildren(node, (item, index) => mapChildren(item, (child, childIndex) => {
+                if (childIndex > 0 || !child.isTextblock) return rtfBlock(child, colors, indent + 360);
+
+                let marker = escapeRTF(listMarker(node, item, index).trim());
+                if (node.type.name === 'bulletList') marker = '\\u8226?';
+                if (node.type.name === 'taskList') marker = item.attrs.checked ? '\\u9745?' : '\\u9744?';
+                return `{\\pard\\li${indent + 360}\\fi-360\\sa60 ${marker}\\tab ${rtfInline(child, colors)}\\par}\n`;
+            }).join('')).join('');
+        case 'table':
+            return mapChildren(node, (row) => {
+                const width = Math.floor(9000 / Math.max(row.childCount, 1));
+                const cells = mapChildren(row, (cell, i) => `\\cellx${width * (i + 1)}`).join('');
+                const content = mapChildren(row, (cell) => {
+                    const bold = cell.type.name === 'tableHeader' ? '\\b' : '';
+                    const text = mapChildren(cell, child => rtfInline(child, colors)).join('\\line ');
+                    return `\\pard\\intbl{${bold} ${text}}\\cell`;
+                }).join('');
+                return `\\trowd\\trgaph108${cells}\n${content}\\row\n`;
+            }).join('') + '\\pard\n';
+        default:
+            if (node.isTextblock) return paragraph('', rtfInline(node, colors));
+            return mapChildren(node, child => rtfBlock(child, colors, indent)).join('');
+    }
+};
+
 export const downloadUtils = {
+    // Editor JSON as a document node, leaving out pending suggestions
+    toDocumentNode: (content) => withoutSuggestions(schema.nodeFromJSON(content)),
+
+    countSuggestions: (content) => getSuggestions(schema.nodeFromJSON(content)).length,
+
     // Download as plain text file
-    downloadAsText: (content, filename = 'document.txt') => {
-        const blob = new Blob([content], { type: 'text/plain' });
+    downloadAsText: (doc, filename = 'document.txt') => {
+        const blob = new Blob([downloadUtils.convertToText(doc)], { type: 'text/plain' });
         downloadUtils.triggerDownload(blob, filename);
     },
 
     // Download as Markdown file
-    downloadAsMarkdown: (content, filename = 'document.md') => {
-        const blob = new Blob([content], { type: 'text/markdown' });
+    downloadAsMarkdown: (doc, filename = 'document.md') => {
+        const blob = new Blob([downloadUtils.convertToMarkdown(doc)], { type: 'text/markdown' });
         downloadUtils.triggerDownload(blob, filename);
     },
 
     // Download as HTML file
-    downloadAsHTML: (content, filename = 'document.html') => {
-        const htmlContent = downloadUtils.convertToHTML(content);
+    downloadAsHTML: (doc, filename = 'document.html', title = 'Document') => {
+        const htmlContent = downloadUtils.convertToHTML(doc, title);
         const blob = new Blob([htmlContent], { type: 'text/html' });
         downloadUtils.triggerDownload(blob, filename);
     },
 
     // Download as JSON (with metadata)
-    downloadAsJSON: (content, filename = 'document.json') => {
+    downloadAsJSON: (doc, filename = 'document.json', title = 'Document') => {
+        const text = downloadUtils.convertToText(doc);
+        const { words, characters, lines } = downloadUtils.getDocumentStats(text);
         const documentData = {
-            content: content,
+            title: title,
+            content: doc.toJSON(),
             createdAt: new Date().toISOString(),
-            wordCount: content.split(/\s+/).filter(word => word.length > 0).length,
-            characterCount: content.length,
-            lineCount: content.split('\n').length
+            wordCount: words,
+            characterCount: characters,
+            lineCount: lines
         };
-        
+
         const blob = new Blob([JSON.stringify(documentData, null, 2)], { type: 'application/json' });
         downloadUtils.triggerDownload(blob, filename);
     },
 
     // Download as RTF (Rich Text Format)
-    downloadAsRTF: (content, filename = 'document.rtf') => {
-        const rtfContent = downloadUtils.convertToRTF(content);
+    downloadAsRTF: (doc, filename = 'document.rtf') => {
+        const rtfContent = downloadUtils.convertToRTF(doc);
         const blob = new Blob([rtfContent], { type: 'application/rtf' });
         downloadUtils.triggerDownload(blob, filename);
     },
 
+    // Download as a Word document, built in the browser. The Word library is only
+    // loaded the first time it's needed.
+    downloadAsDOCX: async (doc, filename = 'document.docx', title = 'Document') => {
+        const { default: docxUtils } = await import('./docxUtils');
+        const blob = await docxUtils.toDocx(doc, title);
+        downloadUtils.triggerDownload(blob, filename);
+    },
+
+    // Download as PDF, laid out with the given page options (see pdfUtils)
+    downloadAsPDF: async (doc, filename = 'document.pdf', title = 'Document', options = {}) => {
+        const blob = await pdfUtils.toPdf(doc, title, options);
+        downloadUtils.triggerDownload(blob, filename);
+    },
+
     // Main download trigger function
     triggerDownload: (blob, filename) => {
         const url = URL.createObjectURL(blob);
@@ -52,27 +249,21 @@ export const downloadUtils = {
         URL.revokeObjectURL(url);
     },
 
-    // Convert plain text to HTML
-    convertToHTML: (content) => {
-        const htmlContent = content
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#39;')
-            .replace(/\n/g, '<br>')
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
-            .replace(/\*(.*?)\*/g, '<em>$1</em>') // Italic
-            .replace(/^# (.*$)/gm, '<h1>$1</h1>') // H1
-            .replace(/^## (.*$)/gm, '<h2>$1</h2>') // H2
-            .replace(/^### (.*$)/gm, '<h3>$1</h3>'); // H3
+    // Plain text with list markers and blank lines between blocks
+    convertToText: (doc) => blockLines(doc).join('\n'),
+
+    convertToMarkdown: (doc) => markdownUtils.toMarkdown(doc.toJSON()),
+
+    // A standalone HTML page with the editor's HTML
+    convertToHTML: (doc, title = 'Document') => {
+        const htmlContent = getHTMLFromFragment(doc.content, schema);
 
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Document</title>
+    <title>${escapeHTML(title)}</title>
     <style>
         body {
             font-family: Arial, sans-serif;
@@ -86,6 +277,16 @@ export const downloadUtils = {
         h1 { border-bottom: 2px solid #3498db; }
         strong { color: #2c3e50; }
         em { color: #7f8c8d; }
+        code { background: #f4f4f4; padding: 2px 4px; border-radius: 3px; }
+        pre { background: #f4f4f4; padding: 12px; border-radius: 4px; overflow-x: auto; }
+        pre code { background: none; padding: 0; }
+        blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 16px; color: #555; }
+        ul[data-type="taskList"] { list-style: none; padding-left: 0; }
+        ul[data-type="taskList"] li { display: flex; gap: 8px; }
+        ul[data-type="taskList"] li > div > p { margin: 0; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #ccc; padding: 6px 10px; vertical-align: top; }
+        th { background: #f4f4f4; }
     </style>
 </head>
 <body>
@@ -96,19 +297,19 @@ ${htmlContent}
 </html>`;
     },
 
-    // Convert plain text to RTF
-    convertToRTF: (content) => {
-        const rtfContent = content
-            .replace(/\\/g, '\\\\')
-            .replace(/\{/g, '\\{')
-            .replace(/\}/g, '\\}')
-            .replace(/\n/g, '\\par ');
+    convertToRTF: (doc) => {
+        const colors = rtfHighlightColors(doc);
+        const rtfContent = mapChildren(doc, child => rtfBlock(child, colors)).join('');
+        const colorTable = [...RTF_BASE_COLORS, ...colors.keys()]
+            .map(color => parseColor(color))
+            .map(([red, green, blue]) => `\\red${red}\\green${green}\\blue${blue};`)
+            .join('');
 
         return `{\\rtf1\\ansi\\deff0
-{\\fonttbl{\\f0 Times New Roman;}}
+{\\fonttbl{\\f0 Times New Roman;}{\\f1\\fmodern Courier New;}}
+{\\colortbl;${colorTable}}
 \\f0\\fs24
-${rtfContent}
-}`;
+${rtfContent}}`;
     },
 
     // Get file size in human readable format
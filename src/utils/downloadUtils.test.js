@@ -0,0 +1,83 @@
+import downloadUtils from './downloadUtils';
+
+const sample = downloadUtils.toDocumentNode({
+    type: 'doc',
+    content: [
+        { type: 'heading', attrs: { level: 1 }, content: [{ type: 'text', text: 'Plan' }] },
+        {
+            type: 'paragraph',
+            content: [
+                { type: 'text', text: 'Ship ' },
+                { type: 'text', text: 'soon', marks: [{ type: 'bold' }] }
+            ]
+        },
+        {
+            type: 'orderedList',
+            attrs: { start: 2 },
+            content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'second' }] }] }]
+        },
+        {
+            type: 'taskList',
+            content: [{ type: 'taskItem', attrs: { checked: true }, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'done' }] }] }]
+        },
+        { type: 'codeBlock', content: [{ type: 'text', text: 'x = 1' }] }
+    ]
+});
+
+describe('downloadUtils export formats', () => {
+    test('plain text keeps list markers and separates blocks with blank lines', () => {
+        expect(downloadUtils.convertToText(sample)).toBe('Plan\n\nShip soon\n\n2. second\n\n[x] done\n\nx = 1');
+    });
+
+    test('Markdown keeps the structure', () => {
+        expect(downloadUtils.convertToMarkdown(sample)).toBe('# Plan\n\nShip **soon**\n\n2. second\n\n- [x] done\n\n```\nx = 1\n```');
+    });
+
+    test('HTML is a standalone page with an escaped title', () => {
+        const html = downloadUtils.convertToHTML(sample, 'Q&A');
+
+        expect(html).toContain('<title>Q&amp;A</title>');
+        expect(html).toContain('<h1>Plan</h1>');
+        expect(html).toContain('<strong>soon</strong>');
+        expect(html).toContain('<ol start="2">');
+    });
+
+    test('RTF escapes control characters and non-ASCII text', () => {
+        const doc = downloadUtils.toDocumentNode({
+            type: 'doc',
+            content: [{ type: 'paragraph', content: [{ type: 'text', text: 'a {b} \\ é' }] }]
+        });
+
+        expect(downloadUtils.convertToRTF(doc)).toContain('a \\{b\\} \\\\ \\u233?');
+    });
+
+    test('RTF highlights use their own colours', () => {
+        const highlight = (text, color) => ({ type: 'text', text, marks: [{ type: 'highlight', attrs: { color } }] });
+        const rtf = downloadUtils.convertToRTF(downloadUtils.toDocumentNode({
+            type: 'doc',
+            content: [{
+                type: 'paragraph',
+                content: [highlight('plain', null), highlight('green', '#00ff00'), highlight('orange', '#f90'), highlight('green again', '#00ff00')]
+            }]
+        }));
+
+        expect(rtf).toContain('{\\colortbl;\\red0\\green0\\blue0;\\red255\\green235\\blue59;\\red0\\green0\\blue238;'
+            + '\\red0\\green255\\blue0;\\red255\\green153\\blue0;}');
+        expect(rtf).toContain('{\\highlight2 plain}{\\highlight4 green}{\\highlight5 orange}{\\highlight4 green again}');
+    });
+
+    test('pending suggestions are left out', () => {
+        const doc = downloadUtils.toDocumentNode({
+            type: 'doc',
+            content: [{
+                type: 'paragraph',
+                content: [
+                    { type: 'text', text: 'kept ' },
+                    { type: 'text', text: 'proposed', marks: [{ type: 'suggestionInsertion', attrs: { id: 's1' } }] }
+                ]
+            }]
+        });
+
+        expect(downloadUtils.convertToText(doc)).toBe('kept ');
+    });
+});
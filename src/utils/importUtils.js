@@ -0,0 +1,99 @@
+// Import utilities: the counterpart to downloadUtils. Files are parsed into Tiptap
+// JSON documents using the editor's own schema, ready to replace the document or
+// be inserted into it.
+import { generateJSON } from '@tiptap/core';
+import documentExtensions from '../extensions/documentExtensions';
+import markdownUtils from './markdownUtils';
+
+export const IMPORT_FORMATS = {
+    md: { label: 'Markdown', extensions: ['.md', '.markdown'] },
+    html: { label: 'HTML', extensions: ['.html', '.htm'] },
+    txt: { label: 'Plain text', extensions: ['.txt'] },
+    docx: { label: 'Word document', extensions: ['.docx'] }
+};
+
+const emptyDocument = () => ({ type: 'doc', content: [{ type: 'paragraph' }] });
+
+// GitHub and most Markdown renderers write task lists as list items starting with
+// a checkbox; mark them up the way the TaskList and TaskItem extensions parse them
+const markTaskLists = (body) => {
+    body.querySelectorAll('li').forEach((item) => {
+        const first = item.firstElementChild?.matches('p') ? item.firstElementChild.firstElementChild : item.firstElementChild;
+        if (!first?.matches('input[type="checkbox"]')) return;
+
+        item.setAttribute('data-type', 'taskItem');
+        item.setAttribute('data-checked', String(first.checked || first.hasAttribute('checked')));
+        first.remove();
+    });
+
+    body.querySelectorAll('ul').forEach((list) => {
+        const items = Array.from(list.children).filter(child => child.matches('li'));
+        if (items.length && items.every(item => item.getAttribute('data-type') === 'taskItem')) {
+            list.setAttribute('data-type', 'taskList');
+        }
+    });
+};
+
+export const importUtils = {
+    // Accept attribute for file inputs
+    accept: Object.values(IMPORT_FORMATS).flatMap(format => format.extensions).join(','),
+
+    // Format key for a file, or null when it can't be imported
+    getFormat: (file) => {
+        const name = file.name.toLowerCase();
+        return Object.keys(IMPORT_FORMATS)
+            .find(format => IMPORT_FORMATS[format].extensions.some(extension => name.endsWith(extension))) || null;
+    },
+
+    // Parse a File into a Tiptap JSON document
+    readFile: async (file) => {
+        const format = importUtils.getFormat(file);
+        switch (format) {
+            case 'md':
+                return importUtils.fromMarkdown(await file.text());
+            case 'html':
+                return importUtils.fromHTML(await file.text());
+            case 'txt':
+                return importUtils.fromText(await file.text());
+            case 'docx': {
+                // The Word library is only loaded when a .docx is imported
+                const { default: docxUtils } = await import('./docxUtils');
+                return docxUtils.fromDocx(file);
+            }
+            default:
+                throw new Error(`"${file.name}" is not a supported file type`);
+        }
+    },
+
+    fromMarkdown: (markdown) => markdownUtils.fromMarkdown(markdown),
+
+    // Scripts, styles and anything else the schema doesn't know are dropped
+    fromHTML: (html) => {
+        const { body } = new DOMParser().parseFromString(html, 'text/html');
+        markTaskLists(body);
+        return generateJSON(body.innerHTML, documentExtensions);
+    },
+
+    // Blank lines separate paragraphs; single line breaks are kept within them
+    fromText: (text) => {
+        const paragraphs = text
+            .replace(/\r\n?/g, '\n')
+            .replace(/^\n+|\n+$/g, '')
+            .split(/\n{2,}/)
+            .filter(paragraph => paragraph.trim());
+        if (!paragraphs.length) return emptyDocument();
+
+        return {
+            type: 'doc',
+            content: paragraphs.map(paragraph => ({
+                type: 'paragraph',
+                content: paragraph.split('\n').flatMap((line, index) => [
+                    ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+                    ...(line ? [{ type: 'text', text: line }] : [])
+                ])
+            }))
+        };
+    }
+};
+
+export default importUtils;
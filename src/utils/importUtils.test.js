@@ -0,0 +1,76 @@
+import importUtils from './importUtils';
+
+// jsdom's File has no text(), so stand in for one
+const fileNamed = (name, content = '') => ({ name, text: async () => content });
+
+describe('importUtils.getFormat', () => {
+    test.each([
+        ['notes.md', 'md'],
+        ['NOTES.MARKDOWN', 'md'],
+        ['page.htm', 'html'],
+        ['readme.txt', 'txt'],
+        ['report.docx', 'docx'],
+        ['image.png', null]
+    ])('%s is %s', (name, format) => {
+        expect(importUtils.getFormat(fileNamed(name))).toBe(format);
+    });
+});
+
+describe('importUtils.fromText', () => {
+    test('blank lines separate paragraphs and single line breaks are kept', () => {
+        expect(importUtils.fromText('one\ntwo\r\n\r\nthree\n')).toEqual({
+            type: 'doc',
+            content: [
+                { type: 'paragraph', content: [{ type: 'text', text: 'one' }, { type: 'hardBreak' }, { type: 'text', text: 'two' }] },
+                { type: 'paragraph', content: [{ type: 'text', text: 'three' }] }
+            ]
+        });
+    });
+
+    test('empty text gives an empty paragraph', () => {
+        expect(importUtils.fromText('\n\n')).toEqual({ type: 'doc', content: [{ type: 'paragraph' }] });
+    });
+});
+
+describe('importUtils.fromHTML', () => {
+    test('keeps formatting the schema knows and drops the rest', () => {
+        const json = importUtils.fromHTML('<h2>Title</h2><script>alert(1)</script><p>Some <strong>bold</strong> text</p>');
+
+        expect(json.content).toEqual([
+            { type: 'heading', attrs: { level: 2, suggestion: null }, content: [{ type: 'text', text: 'Title' }] },
+            {
+                type: 'paragraph',
+                attrs: { suggestion: null },
+                content: [
+                    { type: 'text', text: 'Some ' },
+                    { type: 'text', text: 'bold', marks: [{ type: 'bold' }] },
+                    { type: 'text', text: ' text' }
+                ]
+            }
+        ]);
+    });
+
+    test('turns checkbox list items into task lists', () => {
+        const json = importUtils.fromHTML(
+            '<ul><li><input type="checkbox" checked> done</li><li><input type="checkbox"> todo</li></ul>'
+        );
+
+        expect(json.content[0].type).toBe('taskList');
+        expect(json.content[0].content.map(item => [item.type, item.attrs.checked])).toEqual([
+            ['taskItem', true],
+            ['taskItem', false]
+        ]);
+    });
+});
+
+describe('importUtils.readFile', () => {
+    test('parses Markdown files', async () => {
+        const json = await importUtils.readFile(fileNamed('notes.md', '# Notes\n\n- [ ] call back'));
+
+        expect(json.content.map(node => node.type)).toEqual(['heading', 'taskList']);
+    });
+
+    test('rejects unsupported files', async () => {
+        await expect(importUtils.readFile(fileNamed('image.png'))).rejects.toThrow('"image.png" is not a supported file type');
+    });
+});
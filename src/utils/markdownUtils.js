@@ -0,0 +1,57 @@
+// Markdown conversion for Tiptap documents, using the editor's own schema
+import { getSchema } from '@tiptap/core';
+import { MarkdownManager } from '@tiptap/markdown';
+import documentExtensions from '../extensions/documentExtensions';
+
+const manager = new MarkdownManager({ extensions: documentExtensions });
+const schema = getSchema(documentExtensions);
+
+// Syntax that plain prose rarely contains by accident
+const MARKDOWN_PATTERNS = [
+    /^#{1,6}\s+\S/m, // headings
+    /^\s*(?:[-*+]|\d{1,9}[.)])\s+\S/m, // list items, including task items
+    /^>\s?\S/m, // blockquotes
+    /^(?:```|~~~)/m, // code fences
+    /^\|?\s*:?-{3,}:?\s*\|/m, // table delimiter rows
+    /\*\*[^*\n]+\*\*|__[^_\n]+__/, // bold
+    /~~[^~\n]+~~|==[^=\n]+==/, // strikethrough and highlight
+    /\[[^\]\n]+\]\([^)\s]+\)/, // links
+    /`[^`\n]+`/ // inline code
+];
+
+export const markdownUtils = {
+    // Serialize Tiptap JSON (e.g. editor.getJSON()) to Markdown
+    toMarkdown: (json) => manager.serialize(json),
+
+    // Whether plain text, e.g. from the clipboard, looks like it was written in Markdown
+    looksLikeMarkdown: (text) => MARKDOWN_PATTERNS.some(pattern => pattern.test(text)),
+
+    // Parse Markdown into a Tiptap JSON document. Empty input gives a document
+    // with one empty paragraph, as the schema requires at least one block.
+    fromMarkdown: (markdown) => {
+        const json = manager.parse(markdown);
+        return json.content?.length ? json : { type: 'doc', content: [{ type: 'paragraph' }] };
+    },
+
+    // The part of a document that differs between two versions of its Markdown:
+    // positions in the old document and the slice of the new one that replaces
+    // them. Null when both describe the same document. Pass the editor's schema
+    // to apply the slice there: nodes of another schema instance are dropped.
+    changedRange: (oldMarkdown, newMarkdown, targetSchema = schema) => {
+        const oldDoc = targetSchema.nodeFromJSON(markdownUtils.fromMarkdown(oldMarkdown));
+        const newDoc = targetSchema.nodeFromJSON(markdownUtils.fromMarkdown(newMarkdown));
+        const from = oldDoc.content.findDiffStart(newDoc.content);
+        if (from === null) return null;
+
+        let { a: to, b: newTo } = oldDoc.content.findDiffEnd(newDoc.content);
+        // The ends overlap the start when the change repeats neighbouring content
+        const overlap = from - Math.min(to, newTo);
+        if (overlap > 0) {
+            to += overlap;
+            newTo += overlap;
+        }
+        return { from, to, slice: newDoc.slice(from, newTo) };
+    }
+};
+
+export default markdownUtils;
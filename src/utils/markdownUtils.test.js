@@ -0,0 +1,148 @@
+import { getSchema } from '@tiptap/core';
+import { Transform } from '@tiptap/pm/transform';
+import documentExtensions from '../extensions/documentExtensions';
+import markdownUtils from './markdownUtils';
+
+const schema = getSchema(documentExtensions);
+// Fills in default attributes so documents can be compared as the editor sees them
+const normalize = (json) => schema.nodeFromJSON(json).toJSON();
+
+const doc = (...content) => ({ type: 'doc', content });
+const p = (...content) => ({ type: 'paragraph', ...(content.length ? { content } : {}) });
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks ? { marks } : {}) });
+const cell = (type, value, attrs = {}) => ({
+    type,
+    attrs: { colspan: 1, rowspan: 1, colwidth: null, ...attrs },
+    content: [p(text(value))]
+});
+
+// Serializing to Markdown and parsing it back should give the same document
+const roundTrip = (json) => normalize(markdownUtils.fromMarkdown(markdownUtils.toMarkdown(json)));
+
+describe('markdownUtils round trips', () => {
+    test.each([
+        ['inline marks', doc(p(
+            text('bold', [{ type: 'bold' }]),
+            text(' '),
+            text('italic', [{ type: 'italic' }]),
+            text(' '),
+            text('struck', [{ type: 'strike' }]),
+            text(' '),
+            text('code', [{ type: 'code' }]),
+            text(' '),
+            text('link', [{ type: 'link', attrs: { href: 'https://example.com', target: '_blank', rel: 'noopener noreferrer nofollow', class: null, title: null } }])
+        ))],
+        ['highlights with and without a colour', doc(p(
+            text('plain', [{ type: 'highlight', attrs: { color: null } }]),
+            text(' and '),
+            text('orange', [{ type: 'highlight', attrs: { color: '#ff9900' } }])
+        ))],
+        ['text that looks like Markdown syntax', doc(
+            p(text('# not a heading')),
+            p(text('- not a list')),
+            p(text('1. not numbered')),
+            p(text('*stars* and `ticks` and [brackets]'))
+        )],
+        ['empty paragraphs between text', doc(p(text('a')), p(), p(), p(text('b')))],
+        ['hard breaks', doc(p(text('a'), { type: 'hardBreak' }, text('b')))],
+        ['headings', doc(
+            { type: 'heading', attrs: { level: 1 }, content: [text('Title')] },
+            { type: 'heading', attrs: { level: 3 }, content: [text('Section')] }
+        )],
+        ['code blocks with blank lines', doc(
+            { type: 'codeBlock', attrs: { language: 'js' }, content: [text('const a = 1;\n\nconst b = 2;')] }
+        )],
+        ['ordered lists that start later', doc({
+            type: 'orderedList',
+            attrs: { start: 3, type: null },
+            content: [{ type: 'listItem', content: [p(text('three'))] }]
+        })],
+        ['nested task lists', doc({
+            type: 'taskList',
+            content: [{
+                type: 'taskItem',
+                attrs: { checked: true },
+                content: [
+                    p(text('done')),
+                    { type: 'bulletList', content: [{ type: 'listItem', content: [p(text('detail'))] }] }
+                ]
+            }]
+        })],
+        ['blockquotes and rules', doc(
+            { type: 'blockquote', content: [p(text('quoted')), p(text('twice'))] },
+            { type: 'horizontalRule' },
+            p(text('after'))
+        )],
+        ['tables', doc({
+            type: 'table',
+            content: [
+                { type: 'tableRow', content: [cell('tableHeader', 'A'), cell('tableHeader', 'B')] },
+                { type: 'tableRow', content: [cell('tableCell', '1'), cell('tableCell', '2')] }
+            ]
+        })],
+        ['tables with merged cells', doc({
+            type: 'table',
+            content: [
+                { type: 'tableRow', content: [cell('tableHeader', 'Both', { colspan: 2 })] },
+                { type: 'tableRow', content: [cell('tableCell', 'Tall', { rowspan: 2 }), cell('tableCell', '1')] },
+                { type: 'tableRow', content: [cell('tableCell', '2')] }
+            ]
+        })]
+    ])('%s', (name, json) => {
+        expect(roundTrip(json)).toEqual(normalize(json));
+    });
+
+    test('an empty document parses to one empty paragraph', () => {
+        expect(normalize(markdownUtils.fromMarkdown(''))).toEqual(normalize(doc(p())));
+        expect(roundTrip(doc(p()))).toEqual(normalize(doc(p())));
+    });
+});
+
+describe('markdownUtils.looksLikeMarkdown', () => {
+    test.each([
+        '## Heading',
+        '- one\n- two',
+        '- [ ] task',
+        '> quoted',
+        '```\ncode\n```',
+        '| a | b |\n| --- | --- |',
+        'some **bold** text',
+        'a [link](https://example.com)'
+    ])('recognizes %j', (value) => {
+        expect(markdownUtils.looksLikeMarkdown(value)).toBe(true);
+    });
+
+    test.each([
+        'Just a sentence.',
+        'Price: 5 * 3 = 15',
+        'email me at someone@example.com'
+    ])('leaves plain text %j alone', (value) => {
+        expect(markdownUtils.looksLikeMarkdown(value)).toBe(false);
+    });
+});
+
+describe('markdownUtils.changedRange', () => {
+    const before = '# Title\n\nFirst paragraph\n\nSecond paragraph';
+
+    test('is null when the Markdown describes the same document', () => {
+        expect(markdownUtils.changedRange(before, before)).toBeNull();
+        expect(markdownUtils.changedRange(before, `${before}\n`)).toBeNull();
+    });
+
+    test('covers only the changed part of the document', () => {
+        const range = markdownUtils.changedRange(before, '# Title\n\nFirst sentence\n\nSecond paragraph');
+        const oldDoc = schema.nodeFromJSON(markdownUtils.fromMarkdown(before));
+
+        expect(oldDoc.textBetween(range.from, range.to)).toBe('paragraph');
+        expect(range.slice.content.textBetween(0, range.slice.content.size)).toBe('sentence');
+    });
+
+    test('applied to the old document gives the new one', () => {
+        const after = '# Title\n\n- one\n- two\n\nSecond paragraph';
+        const range = markdownUtils.changedRange(before, after, schema);
+        const oldDoc = schema.nodeFromJSON(markdownUtils.fromMarkdown(before));
+        const tr = new Transform(oldDoc).replace(range.from, range.to, range.slice);
+
+        expect(tr.doc.toJSON()).toEqual(normalize(markdownUtils.fromMarkdown(after)));
+    });
+});
@@ -0,0 +1,296 @@
+// PDF export. The document tree is turned into a pdfmake document definition,
+// laid out with the chosen page size, margins, running header/footer and an
+// optional table of contents. pdfmake and its fonts are only loaded when a PDF
+// is actually generated.
+
+// Sizes in points
+export const PDF_PAGE_SIZES = {
+    A4: { label: 'A4', width: 595.28, height: 841.89 },
+    LETTER: { label: 'US Letter', width: 612, height: 792 },
+    LEGAL: { label: 'US Legal', width: 612, height: 1008 }
+};
+
+export const PDF_MARGINS = {
+    narrow: { label: 'Narrow (0.5")', size: 36 },
+    normal: { label: 'Normal (1")', size: 72 },
+    wide: { label: 'Wide (1.5")', size: 108 }
+};
+
+export const DEFAULT_PDF_OPTIONS = {
+    pageSize: 'A4',
+    orientation: 'portrait',
+    margins: 'normal',
+    header: true,
+    pageNumbers: true,
+    tableOfContents: false
+};
+
+const HIGHLIGHT_COLOR = '#ffeb3b';
+const LINK_COLOR = '#0000ee';
+const CODE_BACKGROUND = '#f4f4f4';
+
+const mapChildren = (node, fn) => {
+    const results = [];
+    node.forEach((child, offset, index) => results.push(fn(child, index)));
+    return results;
+};
+
+// A single-cell table is how pdfmake draws boxes around content
+const boxLayout = ({ fill = null, leftBorder = 0 }) => ({
+    hLineWidth: () => 0,
+    vLineWidth: (index) => (index === 0 ? leftBorder : 0),
+    vLineColor: () => '#cccccc',
+    fillColor: () => fill,
+    paddingLeft: () => 10,
+    paddingRight: () => 10,
+    paddingTop: () => 6,
+    paddingBottom: () => 6
+});
+
+const checkbox = (checked) => [
+    { type: 'rect', x: 0, y: 3, w: 9, h: 9, r: 1, lineWidth: 0.8, lineColor: '#555555' },
+    ...(checked ? [{ type: 'polyline', points: [{ x: 2, y: 7.5 }, { x: 4, y: 10 }, { x: 7.5, y: 4.5 }], lineWidth: 1.2, lineColor: '#555555' }] : [])
+];
+
+const inline = (node) => {
+    const runs = mapChildren(node, (child) => {
+        if (child.type.name === 'hardBreak') return { text: '\n' };
+        if (!child.isText) return null;
+
+        const run = { text: child.text };
+        const decoration = [];
+        child.marks.forEach((mark) => {
+            switch (mark.type.name) {
+                case 'bold':
+                    run.bold = true;
+                    break;
+                case 'italic':
+                    run.italics = true;
+                    break;
+                case 'strike':
+                    decoration.push('lineThrough');
+                    break;
+                case 'underline':
+                    decoration.push('underline');
+                    break;
+                case 'code':
+                    run.background = CODE_BACKGROUND;
+                    break;
+                case 'highlight':
+                    run.background = mark.attrs.color || HIGHLIGHT_COLOR;
+                    break;
+                case 'link':
+                    run.link = mark.attrs.href;
+                    run.color = LINK_COLOR;
+                    if (!decoration.includes('underline')) decoration.push('underline');
+                    break;
+                default:
+                    break;
+            }
+        });
+        if (decoration.length) run.decoration = decoration;
+        return run;
+    }).filter(Boolean);
+
+    // Empty paragraphs still take up a line
+    return runs.length ? runs : ' ';
+};
+
+const block = (node, context) => {
+    switch (node.type.name) {
+        case 'heading':
+            return {
+                text: inline(node),
+                style: `h${node.attrs.level}`,
+                tocItem: context.tableOfContents,
+                tocMargin: [(node.attrs.level - 1) * 12, 2, 0, 2]
+            };
+        case 'codeBlock':
+            return {
+                table: {
+                    widths: ['*'],
+                    body: [[{ text: node.textContent || ' ', fontSize: 9.5, preserveLeadingSpaces: true }]]
+                },
+                layout: boxLayout({ fill: CODE_BACKGROUND }),
+                style: 'block'
+            };
+        case 'blockquote':
+            return {
+                table: { widths: ['*'], body: [[{ stack: blocks(node, context) }]] },
+                layout: boxLayout({ leftBorder: 3 }),
+                style: ['block', 'quote']
+            };
+        case 'horizontalRule':
+            return {
+                canvas: [{ type: 'line', x1: 0, y1: 0, x2: context.contentWidth, y2: 0, lineWidth: 0.5, lineColor: '#cccccc' }],
+                style: 'block'
+            };
+        case 'bulletList':
+            return { ul: listItems(node, context), style: 'block' };
+        case 'orderedList':
+            return { ol: listItems(node, context), start: node.attrs.start, style: 'block' };
+        case 'taskList':
+            return {
+                stack: mapChildren(node, item => ({
+                    columns: [
+                        { width: 14, canvas: checkbox(item.attrs.checked) },
+                        { width: '*', stack: blocks(item, { ...context, inList: true }) }
+                    ],
+                    columnGap: 2
+                })),
+                style: 'block'
+            };
+        case 'table':
+            return table(node, context);
+        default:
+            return { text: inline(node), style: context.inList ? 'listParagraph' : 'block' };
+    }
+};
+
+const blocks = (node, context) => mapChildren(node, child => block(child, context));
+
+const listItems = (list, context) => mapChildren(list, item => ({
+    stack: blocks(item, { ...context, inList: true })
+}));
+
+const table = (node, context) => {
+    // pdfmake wants a cell (or an empty placeholder) for every grid position,
+    // including the ones covered by merged cells
+    const covered = [];
+    const body = mapChildren(node, (row) => {
+        const cells = [];
+        let column = 0;
+        const skipCovered = () => {
+            while (covered[column] > 0) {
+                covered[column]--;
+                cells.push({});
+                column++;
+            }
+        };
+
+        row.forEach((cell) => {
+            skipCovered();
+            const { colspan, rowspan } = cell.attrs;
+            cells.push({
+                stack: blocks(cell, { ...context, inList: true }),
+                colSpan: colspan,
+                rowSpan: rowspan,
+                bold: cell.type.name === 'tableHeader',
+                fillColor: cell.type.name === 'tableHeader' ? '#f2f2f2' : null
+            });
+            for (let i = 0; i < colspan; i++) {
+                if (i > 0) cells.push({});
+                covered[column] = rowspan - 1;
+                column++;
+            }
+        });
+        skipCovered();
+        return cells;
+    });
+
+    const columns = Math.max(...body.map(cells => cells.length));
+    body.forEach((cells) => {
+        while (cells.length < columns) cells.push({});
+    });
+
+    // Leading header rows are repeated on every page the table spans
+    let headerRows = 0;
+    while (headerRows < node.childCount && node.child(headerRows).firstChild?.type.name === 'tableHeader') {
+        headerRows++;
+    }
+
+    return {
+        table: { headerRows, widths: Array(columns).fill('*'), body },
+        style: 'block'
+    };
+};
+
+let pdfMakePromise = null;
+
+const loadPdfMake = () => {
+    if (!pdfMakePromise) {
+        pdfMakePromise = Promise.all([
+            import('pdfmake/build/pdfmake'),
+            import('pdfmake/build/vfs_fonts')
+        ]).then(([{ default: pdfMake }, { default: vfs }]) => {
+            pdfMake.addVirtualFileSystem(vfs);
+            return pdfMake;
+        });
+        // Let a failed load be retried
+        pdfMakePromise.catch(() => {
+            pdfMakePromise = null;
+        });
+    }
+    return pdfMakePromise;
+};
+
+export const pdfUtils = {
+    // pdfmake document definition for a document node (see downloadUtils.toDocumentNode)
+    toDocDefinition: (doc, title = 'Document', options = {}) => {
+        const settings = { ...DEFAULT_PDF_OPTIONS, ...options };
+        const size = PDF_PAGE_SIZES[settings.pageSize] || PDF_PAGE_SIZES.A4;
+        const margin = (PDF_MARGINS[settings.margins] || PDF_MARGINS.normal).size;
+        const landscape = settings.orientation === 'landscape';
+        const pageWidth = landscape ? size.height : size.width;
+
+        let hasHeadings = false;
+        doc.descendants((node) => {
+            if (node.type.name === 'heading') hasHeadings = true;
+        });
+        const tableOfContents = settings.tableOfContents && hasHeadings;
+
+        const context = { contentWidth: pageWidth - margin * 2, tableOfContents, inList: false };
+        const content = blocks(doc, context);
+        if (tableOfContents) {
+            content.unshift({
+                toc: { title: { text: 'Contents', style: 'tocTitle' } },
+                pageBreak: 'after'
+            });
+        }
+
+        // Header and footer sit in the middle of the top and bottom margins
+        const runningMargin = [margin, Math.max(margin / 2 - 6, 8), margin, 0];
+
+        return {
+            info: { title },
+            pageSize: { width: size.width, height: size.height },
+            pageOrientation: settings.orientation,
+            pageMargins: margin,
+            header: settings.header
+                ? () => ({ text: title, alignment: 'center', style: 'running', margin: runningMargin })
+                : undefined,
+            footer: settings.pageNumbers
+                ? (page, pageCount) => ({ text: `Page ${page} of ${pageCount}`, alignment: 'center', style: 'running', margin: runningMargin })
+                : undefined,
+            content,
+            defaultStyle: { fontSize: 11, lineHeight: 1.25 },
+            styles: {
+                h1: { fontSize: 22, bold: true, margin: [0, 12, 0, 8] },
+                h2: { fontSize: 18, bold: true, margin: [0, 10, 0, 6] },
+                h3: { fontSize: 15, bold: true, margin: [0, 8, 0, 6] },
+                h4: { fontSize: 13, bold: true, margin: [0, 8, 0, 4] },
+                h5: { fontSize: 12, bold: true, margin: [0, 6, 0, 4] },
+                h6: { fontSize: 11, bold: true, margin: [0, 6, 0, 4] },
+                block: { margin: [0, 0, 0, 8] },
+                listParagraph: { margin: [0, 0, 0, 2] },
+                quote: { italics: true, color: '#555555' },
+                tocTitle: { fontSize: 18, bold: true, margin: [0, 0, 0, 12] },
+                running: { fontSize: 9, color: '#888888' }
+            }
+        };
+    },
+
+    toPdf: async (doc, title = 'Document', options = {}) => {
+        const pdfMake = await loadPdfMake();
+        const pdf = pdfMake.createPdf(pdfUtils.toDocDefinition(doc, title, options));
+        return new Promise((resolve, reject) => {
+            try {
+                pdf.getBlob(resolve);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+};
+
+export default pdfUtils;
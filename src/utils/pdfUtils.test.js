@@ -0,0 +1,79 @@
+import downloadUtils from './downloadUtils';
+import pdfUtils, { PDF_PAGE_SIZES } from './pdfUtils';
+
+const heading = (level, text) => ({ type: 'heading', attrs: { level }, content: [{ type: 'text', text }] });
+const paragraph = (text) => ({ type: 'paragraph', content: [{ type: 'text', text }] });
+
+const sample = downloadUtils.toDocumentNode({
+    type: 'doc',
+    content: [
+        heading(1, 'Plan'),
+        paragraph('Intro'),
+        heading(2, 'Details'),
+        { type: 'horizontalRule' }
+    ]
+});
+
+const plain = downloadUtils.toDocumentNode({ type: 'doc', content: [paragraph('No headings here')] });
+
+describe('pdfUtils.toDocDefinition', () => {
+    test('the table of contents lists the headings', () => {
+        const definition = pdfUtils.toDocDefinition(sample, 'Report', { tableOfContents: true });
+
+        expect(definition.content[0]).toMatchObject({ toc: { title: { text: 'Contents' } }, pageBreak: 'after' });
+        const entries = definition.content.filter(item => item.tocItem);
+        expect(entries.map(entry => entry.text[0].text)).toEqual(['Plan', 'Details']);
+        expect(entries.map(entry => entry.tocMargin[0])).toEqual([0, 12]);
+    });
+
+    test('there is no table of contents unless asked for or without headings', () => {
+        const hasToc = (definition) => definition.content.some(item => item.toc);
+
+        expect(hasToc(pdfUtils.toDocDefinition(sample, 'Report'))).toBe(false);
+        expect(hasToc(pdfUtils.toDocDefinition(plain, 'Report', { tableOfContents: true }))).toBe(false);
+        expect(pdfUtils.toDocDefinition(sample, 'Report').content.some(item => item.tocItem)).toBe(false);
+    });
+
+    test('the header shows the title and the footer the page numbers', () => {
+        const definition = pdfUtils.toDocDefinition(sample, 'Report');
+
+        expect(definition.info.title).toBe('Report');
+        expect(definition.header()).toMatchObject({ text: 'Report', alignment: 'center' });
+        expect(definition.footer(2, 5)).toMatchObject({ text: 'Page 2 of 5' });
+    });
+
+    test('header and footer can be left out', () => {
+        const definition = pdfUtils.toDocDefinition(sample, 'Report', { header: false, pageNumbers: false });
+
+        expect(definition.header).toBeUndefined();
+        expect(definition.footer).toBeUndefined();
+    });
+
+    test('page size and orientation are passed through', () => {
+        const portrait = pdfUtils.toDocDefinition(sample, 'Report', { pageSize: 'LETTER' });
+        expect(portrait.pageSize).toEqual({ width: 612, height: 792 });
+        expect(portrait.pageOrientation).toBe('portrait');
+
+        const landscape = pdfUtils.toDocDefinition(sample, 'Report', { pageSize: 'A4', orientation: 'landscape' });
+        expect(landscape.pageSize).toEqual({ width: PDF_PAGE_SIZES.A4.width, height: PDF_PAGE_SIZES.A4.height });
+        expect(landscape.pageOrientation).toBe('landscape');
+    });
+
+    test('unknown page sizes fall back to A4', () => {
+        const definition = pdfUtils.toDocDefinition(sample, 'Report', { pageSize: 'B5' });
+
+        expect(definition.pageSize).toEqual({ width: PDF_PAGE_SIZES.A4.width, height: PDF_PAGE_SIZES.A4.height });
+    });
+
+    test('margins are passed through and set the content width', () => {
+        const rule = (definition) => definition.content.find(item => item.canvas).canvas[0];
+
+        const narrow = pdfUtils.toDocDefinition(sample, 'Report', { margins: 'narrow' });
+        expect(narrow.pageMargins).toBe(36);
+        expect(rule(narrow).x2).toBeCloseTo(PDF_PAGE_SIZES.A4.width - 72);
+
+        const wideLandscape = pdfUtils.toDocDefinition(sample, 'Report', { margins: 'wide', orientation: 'landscape' });
+        expect(wideLandscape.pageMargins).toBe(108);
+        expect(rule(wideLandscape).x2).toBeCloseTo(PDF_PAGE_SIZES.A4.height - 216);
+    });
+});
@@ -0,0 +1,48 @@
+// Local user identity shown to collaborators (caret label and presence list)
+const STORAGE_KEY = 'collab-editor-user';
+
+const USER_COLORS = [
+    '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4',
+    '#42d4f4', '#f032e6', '#469990', '#9a6324', '#800000'
+];
+
+export const userUtils = {
+    // Load the saved user, or create a guest identity on first visit
+    getLocalUser: () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (saved && saved.name && saved.color) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Error loading user:', error);
+        }
+
+        const user = {
+            name: `Guest ${Math.floor(1000 + Math.random() * 9000)}`,
+            color: USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)]
+        };
+        userUtils.saveLocalUser(user);
+        return user;
+    },
+
+    saveLocalUser: (user) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
+        } catch (error) {
+            console.error('Error saving user:', error);
+        }
+    },
+
+    // Initials for avatar badges
+    getInitials: (name = '') => {
+        return name
+            .split(/\s+/)
+            .filter(part => part.length > 0)
+            .slice(0, 2)
+            .map(part => part[0].toUpperCase())
+            .join('') || '?';
+    }
+};
+
+export default userUtils;
@@ -0,0 +1,43 @@
+// Helpers for moving Yjs state between the editor, the server and storage
+import * as Y from 'yjs';
+import { yXmlFragmentToProseMirrorRootNode } from '@tiptap/y-tiptap';
+
+export const yjsUtils = {
+    // Origin tag for updates that came from the server, so they are not echoed back
+    REMOTE_ORIGIN: 'remote',
+
+    // Origin tag for state restored from IndexedDB, which is not a new local edit
+    LOCAL_ORIGIN: 'local-storage',
+
+    // Encode a Uint8Array as a base64 string
+    encode: (bytes) => {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    },
+
+    // Decode a base64 string back to a Uint8Array
+    decode: (base64) => {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    // Build a ProseMirror document from a base64 Yjs state, e.g. a saved version
+    stateToProseMirrorDoc: (base64State, schema, field = 'default') => {
+        const ydoc = new Y.Doc();
+        try {
+            Y.applyUpdate(ydoc, yjsUtils.decode(base64State));
+            return yXmlFragmentToProseMirrorRootNode(ydoc.getXmlFragment(field), schema);
+        } finally {
+            ydoc.destroy();
+        }
+    }
+};
+
+export default yjsUtils;